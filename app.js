@@ -12,16 +12,45 @@
 
 const 
   bodyParser = require('body-parser'),
-  crypto = require('crypto'),
   express = require('express'),
   https = require('https'),  
-  request = require('request'),
-  _ = require('lodash');
+  _ = require('lodash'),
+  admin = require('./lib/admin'),
+  cart = require('./lib/cart'),
+  catalog = require('./lib/catalog'),
+  createChannels = require('./lib/channels'),
+  createConversation = require('./lib/conversation'),
+  createDeduplicator = require('./lib/dedupe'),
+  createJobQueue = require('./lib/jobs'),
+  createScheduler = require('./lib/scheduler'),
+  dashboard = require('./lib/dashboard'),
+  eventLog = require('./lib/eventlog'),
+  geo = require('./lib/geo'),
+  handoff = require('./lib/handoff'),
+  locations = require('./lib/locations'),
+  payloads = require('./lib/payloads'),
+  pricing = require('./lib/pricing'),
+  messages = require('./lib/messages'),
+  messageLog = require('./lib/messagelog'),
+  messengerProfile = require('./lib/messengerprofile'),
+  orders = require('./lib/orders'),
+  nlu = require('./lib/nlu'),
+  profiles = require('./lib/profiles'),
+  ratings = require('./lib/ratings'),
+  recommend = require('./lib/recommend'),
+  scheduledOrders = require('./lib/scheduledorders'),
+  signature = require('./lib/signature'),
+  specials = require('./lib/specials'),
+  createStore = require('./lib/store'),
+  uploads = require('./lib/uploads'),
+  createWebChat = require('./lib/webchat'),
+  when = require('./lib/when'),
+  createSendQueue = require('./lib/send');
 
 var app = express();
 app.set('port', process.env.PORT || 5000);
 app.set('view engine', 'ejs');
-app.use(bodyParser.json({ verify: verifyRequestSignature }));
+app.use(bodyParser.json({ verify: signature.captureRawBody }));
 app.use(express.static('public'));
 
 /*
@@ -33,12 +62,42 @@ app.use(express.static('public'));
 // App Secret can be retrieved from the App Dashboard
 const APP_SECRET = process.env.MESSENGER_APP_SECRET;
 
+// Set MESSENGER_DEV_MODE=true to accept unsigned webhook calls and old events
+// while testing locally. Never set it in production.
+const DEV_MODE = process.env.MESSENGER_DEV_MODE === 'true';
+
 // Arbitrary value used to validate a webhook
 const VALIDATION_TOKEN = (process.env.MESSENGER_VALIDATION_TOKEN);
 
 // Generate a page access token for your page from the App Dashboard
 const PAGE_ACCESS_TOKEN = (process.env.MESSENGER_PAGE_ACCESS_TOKEN);
 
+// Set MESSENGER_PROFILE_SYNC=true to bring the page's greeting, Get Started
+// button and persistent menu in line with config/messenger-profile.json on
+// start. `node bin/messenger-profile.js` does the same by hand.
+const PROFILE_SYNC = process.env.MESSENGER_PROFILE_SYNC === 'true';
+
+// Minutes to wait after an order is picked up before asking for a rating
+const RATING_DELAY_MINUTES = parseFloat(process.env.RATING_DELAY_MINUTES) || 30;
+
+// Sticker ids of the thumbs-up ("like") button, in its three sizes
+const LIKE_STICKERS = [369239263222822, 369239343222814, 369239383222810];
+
+// Recommendations shown per carousel. The generic template takes 10 elements
+// and the last one is kept for the "Show more" card.
+const RESULTS_PER_PAGE = 9;
+
+// Past orders shown by "my orders", each with a Reorder button, and at
+// most as many scheduled ones
+const RECENT_ORDERS = 5;
+
+// Dishes in the "My favorites" carousel
+const FAVORITES = 10;
+
+// Lists of dishes in a message stop after this many characters, leaving
+// room for the rest of a button template's 640
+const DISH_LIST_LENGTH = 400;
+
 // URL where the app is running (include protocol). Used to point to scripts and 
 // assets located at this address. 
 const SERVER_URL = (process.env.SERVER_URL);
@@ -48,6 +107,59 @@ if (!(APP_SECRET && VALIDATION_TOKEN && PAGE_ACCESS_TOKEN && SERVER_URL)) {
   process.exit(1);
 }
 
+// Outbound messages go through a queue that keeps each recipient's messages
+// in order, retries transient failures and respects the rate limit
+const sendQueue = createSendQueue({ accessToken: PAGE_ACCESS_TOKEN });
+
+// Verify that webhook calls came from Facebook. Using the App Secret from the
+// App Dashboard, we check the signature sent with each callback in the
+// x-hub-signature-256 (or the older x-hub-signature) header.
+//
+// https://developers.facebook.com/docs/graph-api/webhooks#setup
+const verifyWebhook = signature.verifyWebhook({
+  appSecret: APP_SECRET,
+  devMode: DEV_MODE
+});
+
+// Webhook events are acknowledged straight away and handled one at a time
+// from this queue. Redelivered events are recognised and skipped.
+const webhookJobs = createJobQueue('webhook', dispatchEvent);
+const processedEvents = createDeduplicator('webhook');
+
+// Delayed work, such as asking for ratings and confirming and placing
+// scheduled orders, is done by jobs that survive restarts
+const scheduler = createScheduler('scheduled-jobs');
+
+// The quick reply a thumbs-up sticker stands for, per sender: the one
+// acknowledging the last question we asked them, if it had one
+const likeAnswers = createStore('like-answers');
+
+// Replies go to Messenger unless the recipient is chatting from the web chat
+// widget in public/chat.html, whose events join the webhook's
+const channels = createChannels(sendQueue);
+const webChat = createWebChat(function(messagingEvent) {
+  webhookJobs.push(messagingEvent);
+});
+channels.register(webChat);
+app.use('/chat', webChat.router);
+
+// Authenticated CRUD API for the restaurant and menu catalog
+app.use('/admin', admin);
+
+// Order dashboard for restaurant staff
+app.use('/dashboard', dashboard);
+
+/*
+ * Average customer ratings per restaurant and per dish.
+ *
+ */
+app.get('/ratings', function(req, res) {
+  res.json({
+    restaurants: ratings.restaurantAverages(),
+    dishes: ratings.dishAverages()
+  });
+});
+
 /*
  * Use your own validation token. Check that the token used in the Webhook 
  * setup is the same token used here.
@@ -65,6 +177,65 @@ app.get('/webhook', function(req, res) {
 });
 
 
+/*
+ * This path is used for account linking. The account linking call-to-action
+ * (sendAccountLinking) is pointed to this URL. The user enters the details we
+ * use on their receipts, and is then sent back to Messenger with an
+ * authorization code that arrives in the account_linking webhook event.
+ *
+ */
+app.get('/authorize', function(req, res) {
+  renderAuthorize(res, req.query.account_linking_token,
+    req.query.redirect_uri, {}, []);
+});
+
+app.post('/authorize', bodyParser.urlencoded({ extended: false }),
+    function(req, res) {
+  var redirectURI = req.body.redirect_uri;
+
+  if (!isMessengerRedirect(redirectURI)) {
+    res.status(400).send("Invalid redirect URI");
+    return;
+  }
+
+  var errors = profiles.validateProfile(req.body);
+  if (errors.length) {
+    renderAuthorize(res.status(400), req.body.account_linking_token,
+      redirectURI, req.body, errors);
+    return;
+  }
+
+  // Redirect users to this URI on successful login
+  var authCode = profiles.createAuthorizationCode(req.body);
+  res.redirect(redirectURI + (_.includes(redirectURI, '?') ? '&' : '?') +
+    "authorization_code=" + authCode);
+});
+
+function renderAuthorize(res, accountLinkingToken, redirectURI, values,
+    errors) {
+  if (!isMessengerRedirect(redirectURI)) {
+    res.status(400).send("Invalid redirect URI");
+    return;
+  }
+
+  res.render('authorize', {
+    accountLinkingToken: accountLinkingToken,
+    redirectURI: redirectURI,
+    values: values,
+    errors: errors
+  });
+}
+
+/*
+ * Only send users back to Messenger, so the login page can't be used as an
+ * open redirect.
+ *
+ */
+function isMessengerRedirect(redirectURI) {
+  return /^https:\/\/([a-z0-9-]+\.)*(facebook|messenger)\.com\//i
+    .test(redirectURI || '');
+}
+
 /*
  * All callbacks for Messenger are POST-ed. They will be sent to the same
  * webhook. Be sure to subscribe your app to your page to receive callbacks
@@ -72,67 +243,111 @@ app.get('/webhook', function(req, res) {
  * https://developers.facebook.com/docs/messenger-platform/product-overview/setup#subscribe_app
  *
  */
-app.post('/webhook', function (req, res) {
+app.post('/webhook', verifyWebhook, function (req, res) {
   var data = req.body;
 
   // Make sure this is a page subscription
-  if (data.object == 'page') {
-    // Iterate over each entry
-    // There may be multiple if batched
-    data.entry.forEach(function(pageEntry) {
-      var pageID = pageEntry.id;
-      var timeOfEvent = pageEntry.time;
-
-      // Iterate over each messaging event
-      pageEntry.messaging.forEach(function(messagingEvent) {
-        if (messagingEvent.optin) {
-          receivedAuthentication(messagingEvent);
-        } else if (messagingEvent.message) {
-          receivedMessage(messagingEvent);
-        } else if (messagingEvent.postback) {
-          receivedPostback(messagingEvent);
-        } else {
-          console.log("Webhook received unknown messagingEvent: ", messagingEvent);
-        }
-      });
+  if (data.object != 'page') {
+    console.error("Webhook received unsupported object", data.object);
+    res.sendStatus(404);
+    return;
+  }
+
+  // Iterate over each entry
+  // There may be multiple if batched
+  (data.entry || []).forEach(function(pageEntry) {
+    // Iterate over each messaging event
+    (pageEntry.messaging || []).forEach(function(messagingEvent) {
+      var key = eventKey(messagingEvent);
+      if (key && !processedEvents.first(key)) {
+        console.log("Skipping redelivered event %s", key);
+        return;
+      }
+      webhookJobs.push(messagingEvent);
     });
+  });
 
-    // Assume all went well.
-    //
-    // You must send back a 200, within 20 seconds, to let us know you've 
-    // successfully received the callback. Otherwise, the request will time out.
-    res.sendStatus(200);
-  }
+  // Events are handled once we've answered.
+  //
+  // You must send back a 200, within 20 seconds, to let us know you've 
+  // successfully received the callback. Otherwise, the request will time out.
+  res.sendStatus(200);
 });
 
 /*
- * Verify that the callback came from Facebook. Using the App Secret from 
- * the App Dashboard, we can verify the signature that is sent with each 
- * callback in the x-hub-signature field, located in the header.
- *
- * https://developers.facebook.com/docs/graph-api/webhooks#setup
+ * What identifies a messaging event across redeliveries: the mid of a
+ * message, otherwise the sender and timestamp of the event.
  *
  */
-function verifyRequestSignature(req, res, buf) {
-  var signature = req.headers["x-hub-signature"];
+function eventKey(messagingEvent) {
+  if (messagingEvent.message && messagingEvent.message.mid) {
+    return 'mid:' + messagingEvent.message.mid;
+  }
+
+  var senderID = messagingEvent.sender && messagingEvent.sender.id;
+  if (!senderID || !messagingEvent.timestamp) {
+    return undefined;
+  }
+
+  var type = _.find(['postback', 'optin', 'account_linking', 'delivery',
+    'read', 'referral'], function(field) {
+    return messagingEvent[field];
+  }) || 'event';
+  return type + ':' + senderID + ':' + messagingEvent.timestamp;
+}
 
-  if (!signature) {
-    // For testing, let's log an error. In production, you should throw an 
-    // error.
-    console.error("Couldn't validate the signature.");
+function dispatchEvent(messagingEvent) {
+  recordReceived(messagingEvent);
+
+  if (messagingEvent.optin) {
+    receivedAuthentication(messagingEvent);
+  } else if (messagingEvent.message) {
+    receivedMessage(messagingEvent);
+  } else if (messagingEvent.postback) {
+    receivedPostback(messagingEvent);
+  } else if (messagingEvent.account_linking) {
+    receivedAccountLink(messagingEvent);
+  } else if (messagingEvent.delivery) {
+    receivedDeliveryConfirmation(messagingEvent);
+  } else if (messagingEvent.read) {
+    receivedMessageRead(messagingEvent);
+  } else if (messagingEvent.referral) {
+    receivedReferral(messagingEvent);
   } else {
-    var elements = signature.split('=');
-    var method = elements[0];
-    var signatureHash = elements[1];
+    console.log("Webhook received unknown messagingEvent: ", messagingEvent);
+  }
+}
 
-    var expectedHash = crypto.createHmac('sha1', APP_SECRET)
-                        .update(buf)
-                        .digest('hex');
+/*
+ * What kind of thing a user did, for the event log: 'text', 'quick_reply',
+ * 'attachment', 'postback', 'optin', 'account_linking' or 'referral'.
+ * Delivery and read receipts and echoes of our own messages aren't
+ * something the user did, and are undefined.
+ *
+ */
+function eventKind(messagingEvent) {
+  var message = messagingEvent.message;
+  if (message) {
+    return message.is_echo ? undefined : message.quick_reply ?
+      'quick_reply' : message.attachments ? 'attachment' : 'text';
+  }
+  return _.find(['postback', 'optin', 'account_linking', 'referral'],
+    function(kind) {
+      return messagingEvent[kind];
+    });
+}
 
-    if (signatureHash != expectedHash) {
-      throw new Error("Couldn't validate the request signature.");
-    }
+function recordReceived(messagingEvent) {
+  var kind = eventKind(messagingEvent);
+  if (!kind) {
+    return;
   }
+  var senderID = messagingEvent.sender.id;
+  eventLog.record('received', {
+    sender: senderID,
+    kind: kind,
+    channel: webChat.owns(senderID) ? 'web' : 'messenger'
+  });
 }
 
 /*
@@ -164,6 +379,101 @@ function receivedAuthentication(event) {
   sendTextMessage(senderID, "Authentication successful");
 }
 
+/*
+ * Account Link Event
+ *
+ * This event is called when the Link Account or UnLink Account action has
+ * been tapped. On a successful link, the authorization code we handed out in
+ * POST /authorize tells us which profile belongs to this sender.
+ * https://developers.facebook.com/docs/messenger-platform/webhook-reference/account-linking
+ *
+ */
+function receivedAccountLink(event) {
+  var senderID = event.sender.id;
+  var recipientID = event.recipient.id;
+
+  var status = event.account_linking.status;
+  var authCode = event.account_linking.authorization_code;
+
+  console.log("Received account link event for user %d with status %s " +
+    "and auth code %s ", senderID, status, authCode);
+
+  if (status === 'linked') {
+    var profile = profiles.link(senderID, authCode);
+    if (profile) {
+      sendTextMessage(senderID, "Thanks " + profile.name + ", your account " +
+        "is linked. We'll use your saved address and payment on receipts.");
+    } else {
+      sendTextMessage(senderID, "Sorry, that link has expired. Type " +
+        "\"link account\" to try again.");
+    }
+  } else if (status === 'unlinked') {
+    profiles.unlink(senderID);
+    sendTextMessage(senderID, "Your account has been unlinked.");
+  }
+}
+
+/*
+ * Delivery Confirmation Event
+ *
+ * This event is sent to confirm the delivery of a message. Read more about
+ * these fields at https://developers.facebook.com/docs/messenger-platform/webhook-reference/message-delivered
+ *
+ * The messages named in 'mids', and all messages sent before the
+ * 'watermark', are marked delivered in the message log.
+ *
+ */
+function receivedDeliveryConfirmation(event) {
+  var senderID = event.sender.id;
+  var delivery = event.delivery;
+  var changed = messageLog.markDelivered(senderID, delivery, event.timestamp);
+
+  console.log("Delivery confirmation for user %s, %d message(s) before %d",
+    senderID, changed, delivery.watermark);
+}
+
+/*
+ * Message Read Event
+ *
+ * This event is called when a previously-sent message has been read.
+ * https://developers.facebook.com/docs/messenger-platform/webhook-reference/message-read
+ *
+ * All messages sent before the 'watermark' were read by the user.
+ *
+ */
+function receivedMessageRead(event) {
+  var senderID = event.sender.id;
+  var read = event.read;
+  var changed = messageLog.markRead(senderID, read, event.timestamp);
+
+  console.log("Received message read event for user %s, %d message(s) " +
+    "before %d", senderID, changed, read.watermark);
+}
+
+/*
+ * Referral Event
+ *
+ * Sent when someone who already talks to the page follows an m.me link
+ * with a ref parameter, e.g. m.me/<page>?ref=campus_pizza. New users bring
+ * the ref along with their Get Started postback instead.
+ *
+ */
+function receivedReferral(event) {
+  var senderID = event.sender.id;
+  var referral = event.referral;
+
+  console.log("Received referral for user %s with ref '%s' from %s",
+    senderID, referral.ref, referral.source);
+
+  if (!handoff.isActive(senderID)) {
+    conversation.handle(senderID, referralEvent(referral));
+  }
+}
+
+function referralEvent(referral) {
+  return { type: 'referral', ref: referral.ref, source: referral.source };
+}
+
 /*
  * Message Event
  *
@@ -171,14 +481,14 @@ function receivedAuthentication(event) {
  * object format can vary depending on the kind of message that was received.
  * Read more at https://developers.facebook.com/docs/messenger-platform/webhook-reference/message-received
  *
- * For this example, we're going to echo any text that we get. If we get some 
- * special keywords ('button', 'generic', 'receipt'), then we'll send back
- * examples of those bubbles to illustrate the special message bubbles we've 
- * created. If we receive a message with an attachment (image, video, audio), 
- * then we'll simply confirm that we've received the attachment.
+ * Text goes through the intent parser in lib/nlu.js, which tells us what the
+ * user wants (browse food, order a dish, check or cancel an order, help,
+ * greeting) along with the dishes, restaurants, cuisines and prices they
+ * mentioned. Text, quick replies and shared locations are then handed to the
+ * conversation below, which decides what to do based on where the user is
+ * in the ordering flow.
  * 
  */
-const foodKeywords = ['hungry', 'food', 'meal', 'snack', 'cuisine', 'drink', 'chow', 'breakfast', 'lunch', 'dinner', 'brunch', 'buffet'];
 
 function receivedMessage(event) {
   var senderID = event.sender.id;
@@ -205,476 +515,1934 @@ function receivedMessage(event) {
     console.log("Received echo for message %s and app %d with metadata %s", 
       messageId, appId, metadata);
     return;
+  } else if (handoff.isActive(senderID)) {
+    receivedDuringHandoff(senderID, message);
   } else if (quickReply) {
-    // TODO: for user experience rating
-    var quickReplyPayload = quickReply.payload;
     console.log("Quick reply for message %s with payload %s",
-      messageId, quickReplyPayload);
-
-    sendTextMessage(senderID, "Quick reply tapped");
-    return;
+      messageId, quickReply.payload);
+
+    likeAnswers.remove(senderID);
+    conversation.handle(senderID, quickReplyEvent(quickReply.payload));
+  } else if (messageText) {
+    var parsed = nlu.parse(messageText);
+    console.log("Parsed intent %s (%d) with entities %s", parsed.intent,
+      parsed.confidence, JSON.stringify(parsed.entities));
+
+    likeAnswers.remove(senderID);
+    conversation.handle(senderID, {
+      type: 'text',
+      text: messageText,
+      intent: parsed
+    });
+  } else if (messageAttachments) {
+    messageAttachments.forEach(function(attachment) {
+      conversation.handle(senderID, attachmentEvent(senderID, message,
+        attachment));
+    });
   }
+}
 
-  if (messageText) {
-    // check for keywords
-    if (_.some(foodKeywords, (word) => {
-      return _.includes(_.toLower(messageText), word);
-    })) {
-      sendRestaurantRecommendation(senderID);
-    } else {
-      sendTextMessage(senderID, "I'm not sure what you mean");
+/*
+ * While staff have the conversation, whatever the customer sends goes to
+ * the inbox instead of the bot, which stays quiet. "done" gives the
+ * conversation back to the bot.
+ *
+ */
+function receivedDuringHandoff(senderID, message) {
+  if (message.text) {
+    if (_.toLower(_.trim(message.text)) === "done") {
+      handoff.end(senderID, 'customer');
+      return;
     }
+    handoff.customerMessage(senderID, { text: message.text });
   }
-}
 
-function sendRestaurantRecommendation(recipientId) {
-  var messageData = {
-    recipient: {
-      id: recipientId
-    },
-    message: {
+  _.forEach(message.attachments, function(attachment) {
+    handoff.customerMessage(senderID, {
       attachment: {
-        type: "template",
-        payload: {
-          template_type: "generic",
-          elements: [{
-            title: "Campus Pizza",
-            subtitle: "Call us for all your pizza needs!",
-            item_url: "http://www.campuspizza.ca/",               
-            image_url: SERVER_URL + "/assets/campus_pizza.png",
-            buttons: [{
-              type: "web_url",
-              url: "http://www.campuspizza.ca/",
-              title: "Open Web URL"
-            }, {
-              type: "postback",
-              title: "I want this!",
-              payload: "restaurant_campus_pizza",
-            }],
-          }, {
-            title: "Foodie Fruitie",
-            subtitle: "Ramen X Juice X Sushi",
-            item_url: "http://foodiefruitie.com/",               
-            image_url: SERVER_URL + "/assets/foodie_fruitie.png",
-            buttons: [{
-              type: "web_url",
-              url: "http://foodiefruitie.com/",
-              title: "Open Web URL"
-            }, {
-              type: "postback",
-              title: "I want this!",
-              payload: "restaurant_foodie_fruitie"
-            }],
-          }, {
-            title: "Williams Fresh Cafe",
-            subtitle: "Canada's leading fast casual fresh food cafe",
-            item_url: "http://williamsfreshcafe.com/",               
-            image_url: SERVER_URL + "/assets/williams.png",
-            buttons: [{
-              type: "web_url",
-              url: "http://williamsfreshcafe.com/",
-              title: "Open Web URL"
-            }, {
-              type: "postback",
-              title: "I want this!",
-              payload: "restaurant_williams"
-            }],
-          }]
-        }
+        type: attachment.type,
+        url: _.get(attachment, 'payload.url')
       }
-    }
-  };
-
-  callSendAPI(messageData);
+    });
+  });
 }
 
-function sendRecommendationsForRestaurant(recipientId, restaurant) {
-  const recommendations = {
-    "restaurant_campus_pizza": [{
-      title: "Vegetarian Pizza",
-      subtitle: "4.99",            
-      image_url: SERVER_URL + "/assets/vegetarian_pizza.png",
-      buttons: [{
-        type: "postback",
-        title: "I want this!",
-        payload: "item|Vegetarian Pizza|4.99|"+SERVER_URL + "/assets/vegetarian_pizza.png",
-      }],
-    }, {
-      title: "Cheese Pizza",
-      subtitle: "4.99",            
-      image_url: SERVER_URL + "/assets/cheese_pizza.png",
-      buttons: [{
-        type: "postback",
-        title: "I want this!",
-        payload: "item|Cheese Pizza|4.99|"+SERVER_URL + "/assets/cheese_pizza.png",
-      }],
-    }, {
-      title: "Pepperoni Pizza",
-      subtitle: "4.99",            
-      image_url: SERVER_URL + "/assets/pepperoni_pizza.png",
-      buttons: [{
-        type: "postback",
-        title: "I want this!",
-        payload: "item|Pepperoni Pizza|4.99|"+SERVER_URL + "/assets/pepperoni_pizza.png",
-      }],
-    }],
-    "restaurant_foodie_fruitie": [{
-      title: "Teriyaki Salmon",
-      subtitle: "9.99",            
-      image_url: SERVER_URL + "/assets/teriyaki_salmon.png",
-      buttons: [{
-        type: "postback",
-        title: "I want this!",
-        payload: "item|Teriyaki Salmon|9.99|"+SERVER_URL + "/assets/teriyaki_salmon.png",
-      }],
-    }, {
-      title: "BBQ Pork Fried Rice",
-      subtitle: "9.99",            
-      image_url: SERVER_URL + "/assets/pork_fried_rice.png",
-      buttons: [{
-        type: "postback",
-        title: "I want this!",
-        payload: "item|BBQ Pork Fried Rice|9.99|"+SERVER_URL + "/assets/pork_fried_rice.png",
-      }],
-    }, {
-      title: "Curry Ramen",
-      subtitle: "9.99",            
-      image_url: SERVER_URL + "/assets/curry_ramen.png",
-      buttons: [{
-        type: "postback",
-        title: "I want this!",
-        payload: "item|Curry Ramen|9.99|"+SERVER_URL + "/assets/curry_ramen.png",
-      }],
-    }],
-    "restaurant_williams": [{
-      title: "Chicken Quesadilla",
-      subtitle: "6.99",            
-      image_url: SERVER_URL + "/assets/chicken_quesadilla.png",
-      buttons: [{
-        type: "postback",
-        title: "I want this!",
-        payload: "item|Chicken Quesadilla|6.99|"+SERVER_URL + "/assets/chicken_quesadilla.png",
-      }],
-    }, {
-      title: "William's Big Breakfast",
-      subtitle: "9.99",            
-      image_url: SERVER_URL + "/assets/big_breakfast.png",
-      buttons: [{
-        type: "postback",
-        title: "I want this!",
-        payload: "item|William's Big Breakfast|9.99|"+SERVER_URL + "/assets/big_breakfast.png",
-      }],
-    }, {
-      title: "Mac'n'Cheese",
-      subtitle: "4.99",            
-      image_url: SERVER_URL + "/assets/mac_cheese.png",
-      buttons: [{
-        type: "postback",
-        title: "I want this!",
-        payload: "item|Mac'n'Cheese|4.99|"+SERVER_URL + "/assets/mac_cheese.png",
-      }],
-    }],
-  };
-
-  var messageData = {
-    recipient: {
-      id: recipientId
-    },
-    message: {
-      attachment: {
-        type: "template",
-        payload: {
-          template_type: "generic",
-          elements: recommendations[restaurant],
-        }
-      }
-    }
-  };
-
-  callSendAPI(messageData);
+function quickReplyEvent(payload) {
+  return _.assign({ type: 'quick_reply', payload: payload },
+    payloads.decode(payload));
 }
 
 /*
- * Postback Event
+ * The conversation event for an attachment. A thumbs-up answers the last
+ * question we asked as if its acknowledging quick reply had been tapped
+ * (see sendMessage), other stickers get their own attachment type.
  *
- * This event is called when a postback is tapped on a Structured Message. 
- * https://developers.facebook.com/docs/messenger-platform/webhook-reference/postback-received
- * 
  */
-function receivedPostback(event) {
-  var senderID = event.sender.id;
-  var recipientID = event.recipient.id;
-  var timeOfPostback = event.timestamp;
-
-  // The 'payload' param is a developer-defined field which is set in a postback 
-  // button for Structured Messages. 
-  var payload = event.postback.payload;
+function attachmentEvent(senderID, message, attachment) {
+  var stickerId = _.get(attachment, 'payload.sticker_id') ||
+    message.sticker_id;
+
+  if (attachment.type === 'location') {
+    return {
+      type: 'location',
+      coordinates: _.get(attachment, 'payload.coordinates')
+    };
+  }
 
-  if(payload) {
-    if (_.startsWith(payload, "restaurant")) {
-      sendTextMessage(senderID, "Want any of these?");
-      // Send a list of recommendations for the particular restaurant
-      sendRecommendationsForRestaurant(senderID, payload);
-    } else if (_.startsWith(payload, "item")) {
-      const payloadData = _.split(payload, '|');
-      const food = payloadData[1];
-      const price = payloadData[2];
-      const img_url = payloadData[3];
-      sendTextMessage(senderID, "We got your order!");
-      sendOrderReceipt(senderID, food, price, img_url);
-    } else {
-      sendTextMessage(senderID, "Sorry, we couldn't understand your message");
-    }
+  if (_.includes(LIKE_STICKERS, stickerId)) {
+    var answer = likeAnswers.get(senderID);
+    likeAnswers.remove(senderID);
+    return answer ? quickReplyEvent(answer) : { type: 'like' };
   }
 
-  console.log("Received postback for user %d and page %d with payload '%s' " + 
-    "at %d", senderID, recipientID, payload, timeOfPostback);
+  if (stickerId) {
+    attachment = _.assign({}, attachment, { type: 'sticker' });
+  }
+  return { type: 'attachment', attachment: attachment };
 }
 
-function sendOrderReceipt(recipientId, food, price, img_url) {
-  // Generate a random receipt ID as the API requires a unique ID
-  var receiptId = "order" + Math.floor(Math.random()*1000);
+/*
+ * The user shared their location, either through the location quick reply
+ * or from the composer. Remember it and show what's nearby.
+ *
+ */
+function receivedLocation(context) {
+  var senderID = context.senderID;
+  var coordinates = context.event.coordinates;
 
-  var messageData = {
-    recipient: {
-      id: recipientId
-    },
-    message:{
-      attachment: {
-        type: "template",
-        payload: {
-          template_type: "receipt",
-          recipient_name: "David Dong",
-          order_number: receiptId,
-          currency: "USD",
-          payment_method: "Visa 1234",
-          elements: [{
-            title: food,
-            quantity: 1,
-            price: _.round(price*1, 2),
-            currency: "CAD",
-            image_url: img_url,
-          }],
-          address: {
-            street_1: "208 Sunview St",
-            street_2: "",
-            city: "Waterloo",
-            postal_code: "A1A 1A1",
-            state: "ON",
-            country: "CA"
-          },
-          summary: {
-            subtotal: _.round(price*1, 2),
-            shipping_cost: 0.00,
-            total_tax: _.round(price*0.13, 2),
-            total_cost: _.round(price*1.13, 2),
-          }
-        }
-      }
-    }
-  };
+  if (!geo.isValidLocation(coordinates)) {
+    sendTextMessage(senderID, "Sorry, we couldn't read that location.");
+    return;
+  }
 
-  callSendAPI(messageData); 
+  locations.setLocation(senderID, coordinates);
+  sendTextMessage(senderID, "Thanks! Here's what's close to you:");
+  sendRestaurantRecommendation(senderID);
+  return 'browsing';
 }
 
-function sendTextMessage(recipientId, messageText) {
-  var messageData = {
-    recipient: {
-      id: recipientId
-    },
-    message: {
-      text: messageText
-    }
-  };
-
-  callSendAPI(messageData);
+/*
+ * Ask the user to share their location with a location quick reply.
+ *
+ */
+function sendLocationRequest(recipientId) {
+  return sendMessage(messages.text(recipientId,
+    "Share your location and we'll show you what's nearby.")
+    .locationQuickReply());
 }
 
 /*
- * Send a button message using the Send API.
+ * The ordering conversation. A user starts out idle, browses restaurants,
+ * opens a menu, adds dishes to their cart and checks out, where we ask
+ * whether they'll pick up or want delivery (and where to) before placing
+ * the order and sending the receipt.
+ *
+ * Carousel buttons stay tappable long after they were sent, so postbacks
+ * and most text commands are global transitions that work from any state.
+ * "start over" or "cancel" leave any state and go back to idle.
  *
  */
-function sendButtonMessage(recipientId) {
-  var messageData = {
-    recipient: {
-      id: recipientId
+const conversation = createConversation({
+  name: 'ordering',
+  initial: 'idle',
+  escape: ['start over', 'cancel', 'restart'],
+  onEscape: function(context) {
+    sendTextMessage(context.senderID, "OK, let's start over. Tell me what " +
+      "you feel like eating.");
+  },
+
+  states: {
+    idle: {},
+    browsing: {},
+    menu: {},
+    ordering: {},
+
+    fulfilment: {
+      transitions: [{
+        quickReply: "fulfilment.pickup",
+        text: ["pickup", "pick up"],
+        action: function(context) {
+          return checkout(context.senderID, checkoutDetails(context, {
+            fulfilment: 'pickup'
+          }));
+        }
+      }, {
+        quickReply: "fulfilment.delivery",
+        text: "delivery",
+        action: chooseDelivery
+      }],
+      fallback: function(context) {
+        askFulfilment(context.senderID);
+      }
     },
-    message: {
-      attachment: {
-        type: "template",
-        payload: {
-          template_type: "button",
-          text: "This is test text",
-          buttons:[{
-            type: "web_url",
-            url: "https://www.oculus.com/en-us/rift/",
-            title: "Open Web URL"
-          }, {
-            type: "postback",
-            title: "Trigger Postback",
-            payload: "DEVELOPER_DEFINED_PAYLOAD"
-          }, {
-            type: "phone_number",
-            title: "Call Phone Number",
-            payload: "+16505551234"
-          }]
+
+    delivery_address: {
+      transitions: [{
+        anyText: true,
+        action: function(context) {
+          return checkout(context.senderID, checkoutDetails(context, {
+            fulfilment: 'delivery',
+            delivery_address: { street_1: _.trim(context.event.text) }
+          }));
+        }
+      }]
+    },
+
+    rating_comment: {
+      transitions: [{
+        anyText: true,
+        to: 'idle',
+        action: function(context) {
+          ratings.addComment(context.data.rating_order, context.event.text);
+          sendTextMessage(context.senderID, "Thanks for the feedback!");
         }
+      }]
+    }
+  },
+
+  global: [{
+    // "Talk to a human" from the menu or a reply the bot didn't understand
+    text: ["talk to a human", "human"],
+    postback: "handoff.start",
+    quickReply: "handoff.start",
+    action: startHandoff
+  }, {
+    // The Get Started button, see config/messenger-profile.json
+    postback: "get_started",
+    action: function(context) {
+      sendWelcome(context.senderID);
+    }
+  }, {
+    // m.me links with ?ref=<restaurant id> open that restaurant's menu
+    referral: true,
+    action: function(context) {
+      var restaurant = catalog.getRestaurant(context.event.ref);
+
+      if (!restaurant || !restaurant.available) {
+        sendWelcome(context.senderID);
+        return;
+      }
+      return browse(context.senderID, { restaurants: [restaurant] });
+    }
+  }, {
+    postback: "menu.browse",
+    quickReply: "menu.browse",
+    to: 'browsing',
+    action: function(context) {
+      sendRestaurantRecommendation(context.senderID, {});
+    }
+  }, {
+    postback: "menu.orders",
+    action: function(context) {
+      sendRecentOrders(context.senderID);
+    }
+  }, {
+    postback: "menu.link_account",
+    action: function(context) {
+      sendAccountLinking(context.senderID);
+    }
+  }, {
+    text: "cart",
+    postback: "cart.view",
+    action: function(context) {
+      return sendCart(context.senderID);
+    }
+  }, {
+    text: "checkout",
+    postback: "cart.checkout",
+    action: function(context) {
+      return startCheckout(context.senderID);
+    }
+  }, {
+    // "promo WELCOME10"
+    pattern: /^(?:promo|coupon|code)\s+(\S+)$/i,
+    action: enterPromoCode
+  }, {
+    text: "link account",
+    action: function(context) {
+      sendAccountLinking(context.senderID);
+    }
+  }, {
+    text: ["my favorites", "favorites", "my favourites", "favourites"],
+    postback: "menu.favorites",
+    action: function(context) {
+      sendFavorites(context.senderID);
+    }
+  }, {
+    // "subscribe Campus Pizza"
+    pattern: /^subscribe(?:\s+to)?\s+(.+)$/i,
+    action: function(context) {
+      subscribeToSpecials(context.senderID, findRestaurant(context.match[1]),
+        context.match[1]);
+    }
+  }, {
+    // { restaurant }
+    postback: "specials.subscribe",
+    quickReply: "specials.subscribe",
+    action: function(context) {
+      subscribeToSpecials(context.senderID,
+        catalog.getRestaurant(context.args.restaurant));
+    }
+  }, {
+    // "unsubscribe" from everything or "unsubscribe from Campus Pizza"
+    pattern: /^unsubscribe(?:\s+(?:from\s+)?(.+))?$/i,
+    action: function(context) {
+      var name = context.match[1];
+      var restaurant = name && findRestaurant(name);
+
+      if (name && !restaurant) {
+        sendTextMessage(context.senderID, "Sorry, I don't know a " +
+          "restaurant called " + name + ".");
+        return;
+      }
+      unsubscribeFromSpecials(context.senderID, restaurant);
+    }
+  }, {
+    text: "stop specials",
+    action: function(context) {
+      unsubscribeFromSpecials(context.senderID);
+    }
+  }, {
+    // { restaurant }, under every special
+    postback: "specials.unsubscribe",
+    quickReply: "specials.unsubscribe",
+    action: function(context) {
+      unsubscribeFromSpecials(context.senderID,
+        catalog.getRestaurant(context.args.restaurant));
+    }
+  }, {
+    // Back to ordering right away after scheduling
+    text: ["order now", "asap", "as soon as possible"],
+    action: orderNow
+  }, {
+    // { order }
+    postback: "order.reorder",
+    action: function(context) {
+      return reorder(context.senderID, context.args.order);
+    }
+  }, {
+    // { order }
+    postback: "order.receipt",
+    action: function(context) {
+      var order = orders.getOrder(context.args.order);
+      if (order && order.sender_id === context.senderID) {
+        sendOrderReceipt(context.senderID, order);
+      }
+    }
+  }, {
+    // { id }
+    quickReply: "scheduled.confirm",
+    action: function(context) {
+      confirmScheduledOrder(context.senderID, context.args.id);
+    }
+  }, {
+    // { id }
+    postback: "scheduled.cancel",
+    quickReply: "scheduled.cancel",
+    action: function(context) {
+      cancelScheduledOrder(context.senderID, context.args.id);
+    }
+  }, {
+    // { restaurant }
+    postback: "restaurant",
+    to: 'menu',
+    action: function(context) {
+      sendTextMessage(context.senderID, "Want any of these?");
+      // Send a list of recommendations for the particular restaurant
+      sendRecommendationsForRestaurant(context.senderID,
+        context.args.restaurant);
+    }
+  }, {
+    // { restaurant, item }
+    postback: "item",
+    action: function(context) {
+      return addToCart(context.senderID, context.args.restaurant,
+        context.args.item);
+    }
+  }, {
+    // { offset, query }
+    postback: "more",
+    to: 'browsing',
+    action: function(context) {
+      sendRestaurantRecommendation(context.senderID, context.args.query,
+        context.args.offset);
+    }
+  }, {
+    // { restaurant, item }
+    postback: ["cart.add", "cart.remove"],
+    action: function(context) {
+      cart.changeQuantity(context.senderID, context.args.restaurant,
+        context.args.item, context.event.action === "cart.add" ? 1 : -1);
+      return sendCart(context.senderID);
+    }
+  }, {
+    // { order, score }, score is "skip" to skip the comment
+    quickReply: "rating",
+    action: receivedRating
+  }, {
+    // { order }
+    quickReply: "order.ack",
+    action: function(context) {
+      sendTextMessage(context.senderID, "Great, we'll keep you posted!");
+    }
+  }, {
+    quickReply: "order.keep",
+    action: function(context) {
+      sendTextMessage(context.senderID, "OK, your order stays as it is.");
+    }
+  }, {
+    // { order }
+    quickReply: "order.cancel",
+    action: function(context) {
+      cancelOrder(context.senderID, context.args.order);
+    }
+  }, {
+    location: true,
+    action: receivedLocation
+  }, {
+    like: true,
+    action: function(context) {
+      sendMessage(messages.media(context.senderID, 'image',
+        assetUrl('/assets/like.png')));
+    }
+  }, {
+    attachment: "image",
+    action: receivedPhoto
+  }, {
+    attachment: ["audio", "file"],
+    action: receivedUpload
+  }, {
+    intent: "order_dish",
+    action: function(context) {
+      var entities = context.event.intent.entities;
+
+      if (entities.dishes.length) {
+        orderDishes(context.senderID, entities.dishes, entities.restaurants);
+        return 'ordering';
+      }
+      return browse(context.senderID, entities);
+    }
+  }, {
+    // "lunch tomorrow at 12"
+    intent: "schedule_order",
+    action: scheduleFor
+  }, {
+    intent: "browse_food",
+    action: function(context) {
+      return browse(context.senderID, context.event.intent.entities);
+    }
+  }, {
+    intent: "find_nearby",
+    action: function(context) {
+      if (!locations.getLocation(context.senderID)) {
+        sendLocationRequest(context.senderID);
+        return;
+      }
+      return browse(context.senderID, context.event.intent.entities);
+    }
+  }, {
+    intent: "order_status",
+    action: function(context) {
+      sendRecentOrders(context.senderID);
+    }
+  }, {
+    intent: "cancel",
+    action: function(context) {
+      var open = _.find(orders.recentOrders(context.senderID), function(order) {
+        return orders.canMoveTo(order, 'cancelled');
+      });
+      var upcoming = scheduledOrders.pendingScheduledOrders(
+        context.senderID)[0];
+
+      if (open) {
+        askToCancelOrder(context.senderID, "Cancel your order #" + open.id +
+          "?", payloads.encode('order.cancel', { order: open.id }));
+      } else if (upcoming) {
+        askToCancelOrder(context.senderID, "Cancel your order for " +
+          when.describeWhen(upcoming.scheduled_for) + "?",
+          payloads.encode('scheduled.cancel', { id: upcoming.id }));
+      } else {
+        sendTextMessage(context.senderID, "You don't have any orders to " +
+          "cancel.");
       }
     }
-  };  
+  }, {
+    intent: "help",
+    action: function(context) {
+      sendTextMessage(context.senderID, "Tell me you're hungry to see " +
+        "restaurants, or order directly, e.g. \"two cheese pizzas from " +
+        "Campus Pizza\", or schedule it, e.g. \"lunch tomorrow at 12\". You " +
+        "can also type \"cart\", \"checkout\", \"promo\" and a promo code, " +
+        "\"my orders\", \"my favorites\", \"subscribe\" and a restaurant " +
+        "for its specials, \"link account\", \"talk to a human\" or " +
+        "\"start over\".");
+    }
+  }, {
+    intent: "greet",
+    action: function(context) {
+      sendTextMessage(context.senderID, "Hi! Hungry? Tell me what you feel " +
+        "like eating.");
+    }
+  }],
+
+  fallback: function(context) {
+    if (context.event.type === 'text') {
+      eventLog.record('fallback', { sender: context.senderID });
+      sendNotUnderstood(context.senderID, "I'm not sure what you mean");
+    } else if (context.event.type === 'attachment') {
+      sendUnsupportedAttachment(context.senderID,
+        context.event.attachment.type);
+    } else {
+      sendNotUnderstood(context.senderID, "Sorry, we couldn't understand " +
+        "your message");
+    }
+  }
+});
 
-  callSendAPI(messageData);
+/*
+ * Say we didn't get what the user meant, offering to hand them over to a
+ * person.
+ *
+ */
+function sendNotUnderstood(recipientId, text) {
+  return sendMessage(messages.text(recipientId, text)
+    .quickReply("Talk to a human", payloads.encode('handoff.start')));
 }
 
 /*
- * Send a Structured Message (Generic Message type) using the Send API.
+ * Pause the bot for the sender and let staff answer them from the inbox on
+ * the dashboard.
  *
  */
-function sendGenericMessage(recipientId) {
-  var messageData = {
-    recipient: {
-      id: recipientId
-    },
-    message: {
-      attachment: {
-        type: "template",
-        payload: {
-          template_type: "generic",
-          elements: [{
-            title: "rift",
-            subtitle: "Next-generation virtual reality",
-            item_url: "https://www.oculus.com/en-us/rift/",               
-            image_url: SERVER_URL + "/assets/rift.png",
-            buttons: [{
-              type: "web_url",
-              url: "https://www.oculus.com/en-us/rift/",
-              title: "Open Web URL"
-            }, {
-              type: "postback",
-              title: "Call Postback",
-              payload: "Payload for first bubble",
-            }],
-          }, {
-            title: "touch",
-            subtitle: "Your Hands, Now in VR",
-            item_url: "https://www.oculus.com/en-us/touch/",               
-            image_url: SERVER_URL + "/assets/touch.png",
-            buttons: [{
-              type: "web_url",
-              url: "https://www.oculus.com/en-us/touch/",
-              title: "Open Web URL"
-            }, {
-              type: "postback",
-              title: "Call Postback",
-              payload: "Payload for second bubble",
-            }]
-          }]
-        }
-      }
-    }
-  };  
-
-  callSendAPI(messageData);
+function startHandoff(context) {
+  handoff.start(context.senderID);
+  sendTextMessage(context.senderID, "OK, someone from our team will reply " +
+    "here shortly. Type \"done\" when you want to go back to the bot.");
 }
 
 /*
- * Send a receipt message using the Send API.
+ * Show a restaurant's menu when the user named one, otherwise
+ * recommendations matching what they asked for.
  *
  */
-function sendReceiptMessage(recipientId) {
-  // Generate a random receipt ID as the API requires a unique ID
-  var receiptId = "order" + Math.floor(Math.random()*1000);
+function browse(senderID, entities) {
+  if (entities.restaurants.length) {
+    sendTextMessage(senderID, "Here's the menu at " +
+      entities.restaurants[0].title + ":");
+    sendRecommendationsForRestaurant(senderID, entities.restaurants[0].id);
+    return 'menu';
+  }
 
-  var messageData = {
-    recipient: {
-      id: recipientId
-    },
-    message:{
-      attachment: {
-        type: "template",
-        payload: {
-          template_type: "receipt",
-          recipient_name: "Peter Chang",
-          order_number: receiptId,
-          currency: "USD",
-          payment_method: "Visa 1234",        
-          timestamp: "1428444852", 
-          elements: [{
-            title: "Oculus Rift",
-            subtitle: "Includes: headset, sensor, remote",
-            quantity: 1,
-            price: 599.00,
-            currency: "USD",
-            image_url: SERVER_URL + "/assets/riftsq.png"
-          }, {
-            title: "Samsung Gear VR",
-            subtitle: "Frost White",
-            quantity: 1,
-            price: 99.99,
-            currency: "USD",
-            image_url: SERVER_URL + "/assets/gearvrsq.png"
-          }],
-          address: {
-            street_1: "1 Hacker Way",
-            street_2: "",
-            city: "Menlo Park",
-            postal_code: "94025",
-            state: "CA",
-            country: "US"
-          },
-          summary: {
-            subtotal: 698.99,
-            shipping_cost: 20.00,
-            total_tax: 57.67,
-            total_cost: 626.66
-          },
-          adjustments: [{
-            name: "New Customer Discount",
-            amount: -50
-          }, {
-            name: "$100 Off Coupon",
-            amount: -100
-          }]
-        }
-      }
+  sendRestaurantRecommendation(senderID, recommendationQuery(entities));
+  return 'browsing';
+}
+
+/*
+ * The recommendation filters mentioned in a message.
+ *
+ */
+function recommendationQuery(entities) {
+  return _.omitBy({
+    cuisines: entities.cuisines,
+    dietary: entities.dietary,
+    minPrice: entities.minPrice,
+    maxPrice: entities.maxPrice,
+    openNow: entities.openNow
+  }, function(value) {
+    return value === undefined || (_.isArray(value) && !value.length);
+  });
+}
+
+/*
+ * Put the dishes named in a message straight into the cart. When the user
+ * named a restaurant, dishes are taken from its menu where it has them.
+ *
+ */
+function orderDishes(senderID, dishes, restaurants) {
+  addDishes(senderID, dishes, restaurants);
+  sendCartSummary(senderID, describeDishes(dishes));
+}
+
+function addDishes(senderID, dishes, restaurants) {
+  dishes.forEach(function(dish) {
+    var item;
+    var restaurantId = _.find(_.map(restaurants, 'id'), function(id) {
+      item = _.find(catalog.listItems(id, true), { title: dish.title });
+      return item;
+    });
+
+    if (!restaurantId) {
+      restaurantId = dish.restaurant_id;
+      item = catalog.getItem(restaurantId, dish.item_id);
+    }
+
+    cart.addItem(senderID, restaurantId, item, dish.quantity);
+    recordItem(senderID, restaurantId, item.id, dish.quantity);
+  });
+}
+
+function describeDishes(dishes) {
+  return "Added " + listDishes(dishes.map(function(dish) {
+    return dish.quantity + " x " + dish.title;
+  })) + " to your cart.";
+}
+
+/*
+ * The user said when they want their food, e.g. "lunch tomorrow at 12",
+ * maybe along with the dishes. The time is kept for checkout, which then
+ * schedules the order instead of placing it.
+ *
+ */
+function scheduleFor(context) {
+  var senderID = context.senderID;
+  var entities = context.event.intent.entities;
+  var problem = scheduledOrders.scheduleProblem(entities.time);
+
+  if (problem) {
+    sendTextMessage(senderID, problem + ". Check out now to order right " +
+      "away.");
+    return;
+  }
+
+  context.data.scheduled_for = entities.time;
+  var text = "Your order will be for " + when.describeWhen(entities.time) +
+    ".";
+
+  if (entities.dishes.length) {
+    addDishes(senderID, entities.dishes, entities.restaurants);
+    text = describeDishes(entities.dishes) + " " + text;
+  }
+
+  if (!cart.getCart(senderID).length) {
+    sendTextMessage(senderID, text + " What would you like? Tell me what " +
+      "you feel like eating.");
+  } else {
+    sendCartSummary(senderID, text);
+  }
+
+  // Session data is dropped in the idle state
+  return 'ordering';
+}
+
+function orderNow(context) {
+  if (!context.data.scheduled_for) {
+    return startCheckout(context.senderID);
+  }
+
+  delete context.data.scheduled_for;
+  sendTextMessage(context.senderID, "OK, we'll place your order as soon as " +
+    "you check out.");
+  return 'ordering';
+}
+
+/*
+ * Catalog image paths are relative to the server, everything else is passed
+ * through untouched.
+ *
+ */
+function assetUrl(path) {
+  return _.startsWith(path, '/') ? SERVER_URL + path : path;
+}
+
+/*
+ * Suggest restaurants, or dishes when the user asked for dietary tags or a
+ * price range, matching `query` ({ cuisines, dietary, minPrice, maxPrice }).
+ * Results come in pages; when there are more, the last card offers a
+ * "Show more" postback carrying the query and the next offset.
+ *
+ */
+function sendRestaurantRecommendation(recipientId, query, offset) {
+  var found = recommend.recommend(recipientId, query || {});
+  offset = offset || 0;
+
+  if (!found.results.length) {
+    // Fall back to everything once; without filters there is nothing more
+    if (_.isEmpty(query) ||
+        !recommend.recommend(recipientId, {}).results.length) {
+      sendTextMessage(recipientId, "Nothing is available right now, please " +
+        "check back later.");
+      return;
+    }
+    sendTextMessage(recipientId, "Sorry, nothing matches that. Here's " +
+      "everything we have:");
+    sendRestaurantRecommendation(recipientId);
+    return;
+  }
+
+  if (!offset) {
+    eventLog.record('browse', { sender: recipientId });
+  }
+
+  var averages = ratings.restaurantAverages();
+  var page = found.results.slice(offset, offset + RESULTS_PER_PAGE);
+  var carousel = messages.generic(recipientId);
+
+  page.forEach(function(result) {
+    if (found.type === 'dishes') {
+      addDishElement(carousel, result.restaurant, result.item, false, result);
+    } else {
+      addRestaurantElement(carousel, result.restaurant,
+        averages[result.restaurant.id], result);
+    }
+  });
+
+  if (offset + RESULTS_PER_PAGE < found.results.length) {
+    carousel.element({
+      title: "Want more?",
+      subtitle: (found.results.length - offset - RESULTS_PER_PAGE) +
+        " more " + found.type
+    }).postback("Show more", payloads.encode('more', {
+      offset: offset + RESULTS_PER_PAGE,
+      query: query || {}
+    }));
+  }
+
+  return sendMessage(carousel);
+}
+
+/*
+ * Opening and distance details from a recommendation result, for subtitles.
+ *
+ */
+function whereabouts(result) {
+  return _.compact([
+    !result.open && "Closed now",
+    !_.isUndefined(result.distance) && geo.formatDistance(result.distance) +
+      " away"
+  ]).join(", ");
+}
+
+function addRestaurantElement(carousel, restaurant, average, result) {
+  var subtitle = ratingSubtitle(restaurant.subtitle, average);
+  var details = whereabouts(result);
+
+  carousel.element({
+    title: restaurant.title,
+    subtitle: details ? details + " - " + subtitle : subtitle,
+    item_url: restaurant.url,
+    image_url: assetUrl(restaurant.image_url)
+  });
+  if (restaurant.url) {
+    carousel.url("Open Web URL", restaurant.url);
+  }
+  carousel.postback("I want this!", payloads.encode('restaurant', {
+    restaurant: restaurant.id
+  }));
+}
+
+/*
+ * Add a dish card to a carousel. Outside of a restaurant's own menu the
+ * subtitle also says where the dish is from and, given a recommendation
+ * result, how far away.
+ *
+ */
+function addDishElement(carousel, restaurant, item, onMenu, result) {
+  var subtitle = item.price.toFixed(2);
+  if (!onMenu) {
+    subtitle = "$" + subtitle + " at " + restaurant.title;
+    if (result && whereabouts(result)) {
+      subtitle += " (" + whereabouts(result) + ")";
+    }
+  }
+  if (!_.isEmpty(item.dietary)) {
+    subtitle += " - " + item.dietary.join(", ");
+  }
+
+  carousel.element({
+    title: item.title,
+    subtitle: subtitle,
+    image_url: assetUrl(item.image_url)
+  }).postback("I want this!", payloads.encode('item', {
+    restaurant: restaurant.id,
+    item: item.id
+  }));
+}
+
+/*
+ * Append the average rating, if any, to a restaurant card's subtitle.
+ *
+ */
+function ratingSubtitle(subtitle, average) {
+  if (!average) {
+    return subtitle;
+  }
+  var rating = "\u2605 " + average.average.toFixed(1) + " (" + average.count +
+    ")";
+  return subtitle ? subtitle + " " + rating : rating;
+}
+
+function sendRecommendationsForRestaurant(recipientId, restaurantId) {
+  var restaurant = catalog.getRestaurant(restaurantId);
+  var items = catalog.listItems(restaurantId, true);
+
+  if (!items || !items.length) {
+    sendTextMessage(recipientId, "Sorry, there's nothing on that menu right now");
+    return;
+  }
+
+  eventLog.record('restaurant', {
+    sender: recipientId,
+    restaurant: restaurantId
+  });
+
+  var carousel = messages.generic(recipientId);
+  items.forEach(function(item) {
+    addDishElement(carousel, restaurant, item, true);
+  });
+  if (!specials.isSubscribed(recipientId, restaurantId)) {
+    carousel.quickReply("Get specials", payloads.encode('specials.subscribe',
+      { restaurant: restaurantId }));
+  }
+
+  return sendMessage(carousel);
+}
+
+/*
+ * Postback Event
+ *
+ * This event is called when a postback is tapped on a Structured Message. 
+ * https://developers.facebook.com/docs/messenger-platform/webhook-reference/postback-received
+ * 
+ */
+function receivedPostback(event) {
+  var senderID = event.sender.id;
+  var recipientID = event.recipient.id;
+  var timeOfPostback = event.timestamp;
+
+  // The 'payload' param is a developer-defined field which is set in a postback 
+  // button for Structured Messages. Ours are signed by lib/payloads; ones
+  // that fail the check reach the conversation without an action and get
+  // the fallback reply.
+  var payload = event.postback.payload;
+  var referral = event.postback.referral;
+
+  if (handoff.isActive(senderID)) {
+    // Staff have the conversation, they see which button was tapped
+    handoff.customerMessage(senderID, {
+      text: "[" + (event.postback.title || "Button") + "]"
+    });
+  } else if (referral && referral.ref) {
+    // Get Started from an m.me link: the ref says where to begin
+    conversation.handle(senderID, referralEvent(referral));
+  } else if (payload) {
+    conversation.handle(senderID, _.assign({
+      type: 'postback',
+      payload: payload
+    }, payloads.decode(payload)));
+  }
+
+  console.log("Received postback for user %d and page %d with payload '%s' " + 
+    "at %d", senderID, recipientID, payload, timeOfPostback);
+}
+
+/*
+ * A photo is special instructions for the restaurant, e.g. how a dish should
+ * look. It goes with the order being put together, or else the sender's
+ * open order. The file is kept, Messenger's copy doesn't last.
+ *
+ */
+function receivedPhoto(context) {
+  var senderID = context.senderID;
+  var ordering = cart.getCart(senderID).length > 0;
+  var open = _.find(orders.recentOrders(senderID), function(order) {
+    return !orders.isFinal(order);
+  });
+
+  if (!ordering && !open) {
+    sendTextMessage(senderID, "Nice photo! Send one while you order and " +
+      "we'll pass it on to the restaurant as special instructions.");
+    return;
+  }
+
+  var upload = uploads.createUpload(senderID, context.event.attachment,
+    ordering ? undefined : { order_id: open.id });
+  var instruction = { type: 'image', upload: upload.id };
+
+  // The photo only becomes an instruction once we have it
+  uploads.download(upload).then(function() {
+    if (ordering) {
+      addSessionInstruction(senderID, instruction);
+      sendTextMessage(senderID, "Got your photo, the restaurant will see " +
+        "it with your order as special instructions.");
+    } else {
+      orders.addInstruction(open.id, instruction);
+      sendTextMessage(senderID, "Got your photo, we added it to order #" +
+        open.id + " as special instructions.");
     }
+  }, function(error) {
+    console.error(error.message);
+    sendTextMessage(senderID, "Sorry, we couldn't save your photo. Please " +
+      "send it again.");
+  });
+}
+
+/*
+ * Add a special instruction to the order being put together. Session data
+ * is dropped in the idle state, so that moves on to ordering.
+ *
+ */
+function addSessionInstruction(senderID, instruction) {
+  var state = conversation.getState(senderID);
+  var data = conversation.getData(senderID);
+
+  conversation.setState(senderID, state === 'idle' ? 'ordering' : state, {
+    instructions: (data.instructions || []).concat(instruction)
+  });
+}
+
+/*
+ * Keep voice messages and files, noting the sender's open order if they
+ * have one.
+ *
+ */
+function receivedUpload(context) {
+  var senderID = context.senderID;
+  var attachment = context.event.attachment;
+  var what = attachment.type === 'audio' ? "voice message" : "file";
+  var open = _.find(orders.recentOrders(senderID), function(order) {
+    return !orders.isFinal(order);
+  });
+
+  var upload = uploads.createUpload(senderID, attachment,
+    open ? { order_id: open.id } : undefined);
+
+  uploads.download(upload).then(function() {
+    sendTextMessage(senderID, "Thanks, we saved your " + what +
+      (open ? " with order #" + open.id : "") + ".");
+  }, function(error) {
+    console.error(error.message);
+    sendTextMessage(senderID, "Sorry, we couldn't save your " + what +
+      ". Please send it again.");
+  });
+}
+
+function sendUnsupportedAttachment(recipientId, type) {
+  var what = {
+    sticker: "Cute sticker!",
+    video: "Sorry, we can't watch videos here.",
+    fallback: "Sorry, we can't open links here."
+  }[type] || "Sorry, we can't do anything with that yet.";
+
+  sendTextMessage(recipientId, what + " Tell me what you feel like eating, " +
+    "or send a photo while you order to show the restaurant what you'd " +
+    "like.");
+}
+
+/*
+ * Greet someone who just tapped Get Started and show them where to begin.
+ *
+ */
+function sendWelcome(recipientId) {
+  return sendMessage(messages.text(recipientId, "Welcome to Gordan! Tell " +
+    "me what you feel like eating, e.g. \"sushi near me\", or browse the " +
+    "restaurants. The menu has your cart and orders.")
+    .quickReply("Browse restaurants", payloads.encode('menu.browse')));
+}
+
+/*
+ * Add a dish from the catalog to the sender's cart and let them keep
+ * browsing, review the cart or go straight to checkout. Returns the
+ * conversation state to move to.
+ *
+ */
+function addToCart(recipientId, restaurantId, itemId) {
+  var restaurant = catalog.getRestaurant(restaurantId);
+  var item = catalog.getItem(restaurantId, itemId);
+
+  if (!item || !item.available || !restaurant.available) {
+    sendTextMessage(recipientId, "Sorry, that dish isn't available anymore.");
+    return;
+  }
+
+  cart.addItem(recipientId, restaurantId, item);
+  recordItem(recipientId, restaurantId, item.id, 1);
+  sendCartSummary(recipientId, "Added " + item.title + " to your cart.");
+  return 'ordering';
+}
+
+/*
+ * Log a dish going into the sender's cart, for the most tapped dishes and
+ * the ordering funnel in the analytics report.
+ *
+ */
+function recordItem(senderID, restaurantId, itemId, quantity) {
+  eventLog.record('item', {
+    sender: senderID,
+    restaurant: restaurantId,
+    item: itemId,
+    quantity: quantity
+  });
+}
+
+/*
+ * Tell the sender what's in their cart, with buttons to review it or check
+ * out.
+ *
+ */
+function sendCartSummary(recipientId, text) {
+  var lines = cart.getCart(recipientId);
+  var summary = " You have " + cart.itemCount(lines) + " item(s) totalling $" +
+    cart.subtotal(lines).toFixed(2) + ".";
+
+  // Button template text can't be longer than 640 characters
+  text = _.truncate(text, {
+    length: messages.LIMITS.templateText - summary.length,
+    omission: '…'
+  });
+  return sendMessage(messages.buttons(recipientId, text + summary)
+    .postback("View cart", payloads.encode('cart.view'))
+    .postback("Checkout", payloads.encode('cart.checkout')));
+}
+
+/*
+ * Show the sender's cart as a carousel with one bubble per line, each with
+ * buttons to change its quantity. Returns the conversation state to move to.
+ *
+ */
+function sendCart(recipientId) {
+  var lines = cart.getCart(recipientId);
+
+  if (!lines.length) {
+    sendTextMessage(recipientId, "Your cart is empty. Tell me you're hungry " +
+      "to see some restaurants!");
+    return 'idle';
+  }
+
+  // Long carts are split over several carousels
+  var carousel = messages.generic(recipientId);
+  lines.forEach(function(line) {
+    var ids = { restaurant: line.restaurant_id, item: line.item_id };
+
+    carousel.element({
+      title: line.title + " x" + line.quantity,
+      subtitle: "$" + line.price.toFixed(2) + " each",
+      image_url: assetUrl(line.image_url)
+    })
+      .postback("Add one", payloads.encode('cart.add', ids))
+      .postback("Remove one", payloads.encode('cart.remove', ids))
+      .postback("Checkout", payloads.encode('cart.checkout'));
+  });
+
+  sendTextMessage(recipientId, "You have " + cart.itemCount(lines) +
+    " item(s) in your cart, subtotal $" + cart.subtotal(lines).toFixed(2) + ".");
+  sendMessage(carousel);
+  return 'ordering';
+}
+
+/*
+ * Start checking out the sender's cart by asking how they want to get their
+ * food. Returns the conversation state to move to.
+ *
+ */
+function startCheckout(recipientId) {
+  if (!cart.getCart(recipientId).length) {
+    sendTextMessage(recipientId, "Your cart is empty, there's nothing to " +
+      "check out.");
+    return 'idle';
+  }
+
+  askFulfilment(recipientId);
+  return 'fulfilment';
+}
+
+function askFulfilment(recipientId) {
+  return sendMessage(messages.text(recipientId, "Pickup or delivery?")
+    .quickReply("Pickup", payloads.encode('fulfilment.pickup'))
+    .quickReply("Delivery", payloads.encode('fulfilment.delivery')));
+}
+
+/*
+ * Deliver to the linked profile's address, or ask where to deliver when the
+ * sender hasn't linked an account.
+ *
+ */
+function chooseDelivery(context) {
+  var profile = profiles.getProfile(context.senderID);
+  var problems = checkoutProblems(context.senderID, { fulfilment: 'delivery' });
+
+  if (problems.length) {
+    return refuseCheckout(context.senderID, problems);
+  }
+
+  if (profile && profile.address) {
+    return checkout(context.senderID, checkoutDetails(context, {
+      fulfilment: 'delivery',
+      delivery_address: profile.address
+    }));
+  }
+
+  sendTextMessage(context.senderID, "Where should we deliver to? Type your " +
+    "street address.");
+  return 'delivery_address';
+}
+
+/*
+ * Checkout details for `fields` plus what the sender gave us while ordering:
+ * a promo code, photos as special instructions and when the order is for.
+ *
+ */
+function checkoutDetails(context, fields) {
+  return _.assign({
+    promo_code: context.data.promo_code,
+    instructions: context.data.instructions,
+    scheduled_for: context.data.scheduled_for
+  }, fields);
+}
+
+/*
+ * Why the sender's cart can't be checked out as `details` say, e.g. a
+ * delivery under a restaurant's minimum. Empty when nothing is in the way.
+ *
+ */
+function checkoutProblems(recipientId, details) {
+  var lines = cart.priceLines(cart.getCart(recipientId)).lines;
+
+  return _.flatMap(_.groupBy(lines, 'restaurant_id'),
+    function(restaurantLines, restaurantId) {
+      return orders.quoteOrder(recipientId, restaurantId, restaurantLines,
+        details).errors;
+    });
+}
+
+function refuseCheckout(recipientId, problems) {
+  sendTextMessage(recipientId, problems.join(". ") + ". Add more to your " +
+    "cart or pick it up instead.");
+  askFulfilment(recipientId);
+  return 'fulfilment';
+}
+
+/*
+ * Price cart lines at the catalog's current prices, telling the sender about
+ * dishes that are no longer available. Returns { lines, groups, quotes,
+ * problems } with the lines and quote per restaurant and what stands in the
+ * way of placing them, or undefined when nothing is left to order.
+ *
+ */
+function priceCheckout(recipientId, cartLines, details) {
+  var priced = cart.priceLines(cartLines);
+  var lines = priced.lines;
+
+  if (priced.unavailable.length) {
+    sendTextMessage(recipientId, "Sorry, " +
+      _.map(priced.unavailable, 'title').join(", ") + " is no longer " +
+      "available and was left out of your order.");
+  }
+
+  if (!lines.length) {
+    return undefined;
+  }
+
+  var groups = _.groupBy(lines, 'restaurant_id');
+  var quotes = _.map(groups, function(restaurantLines, restaurantId) {
+    return orders.quoteOrder(recipientId, restaurantId, restaurantLines,
+      details);
+  });
+
+  return {
+    lines: lines,
+    groups: groups,
+    quotes: quotes,
+    problems: _.flatMap(quotes, 'errors')
   };
+}
+
+/*
+ * Turn the sender's cart into orders, one per restaurant, and send them a
+ * receipt for each. `details` says whether it's for pickup or delivery, and
+ * when it is scheduled for later, the order is kept until then instead.
+ *
+ */
+function checkout(recipientId, details) {
+  var priced = priceCheckout(recipientId, cart.getCart(recipientId), details);
+
+  if (!priced) {
+    cart.clearCart(recipientId);
+    sendTextMessage(recipientId, "Your cart is empty, there's nothing to " +
+      "check out.");
+    return 'idle';
+  }
+  if (priced.problems.length) {
+    return refuseCheckout(recipientId, priced.problems);
+  }
+
+  if (details.scheduled_for) {
+    var problem = scheduledOrders.scheduleProblem(details.scheduled_for);
+    if (problem) {
+      sendTextMessage(recipientId, problem + ". Tell me another time, or " +
+        "say \"order now\".");
+      return 'ordering';
+    }
+    scheduleOrder(recipientId, priced.lines, details);
+  } else {
+    placeOrders(recipientId, priced, details);
+  }
 
-  callSendAPI(messageData);
+  cart.clearCart(recipientId);
+  return 'idle';
 }
 
 /*
- * Send a message with Quick Reply buttons.
+ * Place priced lines (see priceCheckout) as orders and send the receipts.
+ * Returns the orders.
  *
  */
-function sendQuickReply(recipientId) {
-  var messageData = {
-    recipient: {
-      id: recipientId
-    },
-    message: {
-      text: "What's your favorite movie genre?",
-      quick_replies: [
-        {
-          "content_type":"text",
-          "title":"Action",
-          "payload":"DEVELOPER_DEFINED_PAYLOAD_FOR_PICKING_ACTION"
-        },
-        {
-          "content_type":"text",
-          "title":"Comedy",
-          "payload":"DEVELOPER_DEFINED_PAYLOAD_FOR_PICKING_COMEDY"
-        },
-        {
-          "content_type":"text",
-          "title":"Drama",
-          "payload":"DEVELOPER_DEFINED_PAYLOAD_FOR_PICKING_DRAMA"
-        }
-      ]
+function placeOrders(recipientId, priced, details) {
+  var placed = _.map(priced.groups, function(restaurantLines, restaurantId) {
+    return orders.createOrder(recipientId, restaurantId, restaurantLines,
+      details);
+  });
+  placed.forEach(function(order) {
+    eventLog.record('order', {
+      sender: recipientId,
+      order: order.id,
+      restaurant: order.restaurant_id,
+      total: order.total,
+      currency: order.currency
+    });
+  });
+
+  sendTextMessage(recipientId, "We got your order!");
+  if (details.promo_code && !_.some(placed, 'promo_code')) {
+    sendTextMessage(recipientId, "Your promo code wasn't applied: " +
+      (_.first(_.flatMap(priced.quotes, 'notes')) ||
+        "it has already been used") + ".");
+  }
+  placed.forEach(function(order) {
+    sendOrderReceipt(recipientId, order);
+  });
+  return placed;
+}
+
+/*
+ * Keep an order for later. The customer is asked to confirm it shortly
+ * before it goes to the restaurant; unconfirmed orders aren't placed.
+ *
+ */
+function scheduleOrder(recipientId, lines, details) {
+  var order = scheduledOrders.createScheduledOrder(recipientId, lines,
+    details);
+
+  scheduler.schedule('scheduled_order.confirm', order.confirm_at,
+    { id: order.id });
+  scheduler.schedule('scheduled_order.submit', order.submit_at,
+    { id: order.id });
+
+  sendTextMessage(recipientId, "Your order is scheduled for " +
+    when.describeWhen(order.scheduled_for) + ". We'll ask you to confirm it " +
+    "shortly before it goes to the restaurant.");
+  return order;
+}
+
+/*
+ * Ask the customer whether to go ahead with a scheduled order. A thumbs-up
+ * counts as yes.
+ *
+ */
+function askToConfirmScheduledOrder(id) {
+  var order = scheduledOrders.setScheduledStatus(id, 'confirming');
+  if (!order) {
+    return;
+  }
+
+  var confirm = payloads.encode('scheduled.confirm', { id: id });
+  return sendMessage(messages.text(order.sender_id, "Your order for " +
+    when.describeWhen(order.scheduled_for) + " (" +
+    describeLines(order.lines) + ") goes to the restaurant soon. Place it?")
+    .quickReply("Place it", confirm)
+    .quickReply("Cancel it", payloads.encode('scheduled.cancel', { id: id })),
+    confirm);
+}
+
+/*
+ * The customer said yes: the order stays queued until it is due at the
+ * restaurant.
+ *
+ */
+function confirmScheduledOrder(senderID, id) {
+  var order = scheduledOrders.getScheduledOrder(id);
+
+  if (!order || order.sender_id !== senderID ||
+      !scheduledOrders.setScheduledStatus(id, 'confirmed')) {
+    sendTextMessage(senderID, "That scheduled order isn't waiting to be " +
+      "placed anymore.");
+    return;
+  }
+  sendTextMessage(senderID, "Great! Your order for " +
+    when.describeWhen(order.scheduled_for) + " goes to the restaurant " +
+    when.describeWhen(order.submit_at) + ".");
+}
+
+/*
+ * A scheduled order is due at the restaurant: place it when the customer
+ * confirmed it, otherwise it expires.
+ *
+ */
+function submitScheduledOrder(id) {
+  var order = scheduledOrders.getScheduledOrder(id);
+
+  if (!order || !scheduledOrders.isPending(order)) {
+    return;
+  }
+  if (order.status === 'confirmed') {
+    placeScheduledOrder(order);
+  } else {
+    expireScheduledOrder(id);
+  }
+}
+
+/*
+ * Nobody confirmed a scheduled order by the time it was due at the
+ * restaurant, so it isn't placed.
+ *
+ */
+function expireScheduledOrder(id) {
+  var order = scheduledOrders.setScheduledStatus(id, 'expired');
+  if (order) {
+    sendTextMessage(order.sender_id, "We didn't hear back, so your order " +
+      "for " + when.describeWhen(order.scheduled_for) + " wasn't placed. " +
+      "You can reorder it from \"my orders\" any time.");
+  }
+}
+
+/*
+ * Send a confirmed scheduled order to the restaurant at today's prices,
+ * unless something in it can no longer be ordered.
+ *
+ */
+function placeScheduledOrder(order) {
+  var senderID = order.sender_id;
+  var priced = priceCheckout(senderID, order.lines, order.details);
+  var problems = priced ? priced.problems :
+    ["Nothing in it is available anymore"];
+
+  if (problems.length) {
+    scheduledOrders.setScheduledStatus(order.id, 'cancelled');
+    sendTextMessage(senderID, problems.join(". ") + ", so your scheduled " +
+      "order wasn't placed.");
+    return;
+  }
+
+  var placed = placeOrders(senderID, priced, order.details);
+  scheduledOrders.setScheduledStatus(order.id, 'placed', {
+    order_ids: _.map(placed, 'id')
+  });
+}
+
+function cancelScheduledOrder(senderID, id) {
+  var order = scheduledOrders.getScheduledOrder(id);
+
+  if (!order || order.sender_id !== senderID ||
+      !scheduledOrders.setScheduledStatus(id, 'cancelled')) {
+    sendTextMessage(senderID, "That scheduled order isn't waiting to be " +
+      "placed anymore.");
+    return;
+  }
+  sendTextMessage(senderID, "OK, your order for " +
+    when.describeWhen(order.scheduled_for) + " is cancelled.");
+}
+
+function describeLines(lines) {
+  return listDishes(lines.map(function(line) {
+    return line.quantity + " x " + line.title;
+  }));
+}
+
+/*
+ * Join dishes with commas. Lists longer than DISH_LIST_LENGTH end with how
+ * many were left out, e.g. "…and 3 more".
+ *
+ */
+function listDishes(dishes) {
+  var shown = dishes.length;
+  var text = dishes.join(", ");
+
+  while (text.length > DISH_LIST_LENGTH && shown > 1) {
+    shown -= 1;
+    text = _.take(dishes, shown).join(", ") + " …and " +
+      (dishes.length - shown) + " more";
+  }
+  return text;
+}
+
+/*
+ * Put the dishes of a past order back in the cart, at today's prices.
+ * Dishes that are no longer available are left out. Returns the
+ * conversation state to move to.
+ *
+ */
+function reorder(recipientId, orderId) {
+  var order = orders.getOrder(orderId);
+
+  if (!order || order.sender_id !== recipientId) {
+    sendTextMessage(recipientId, "Sorry, we couldn't find that order.");
+    return;
+  }
+
+  var restaurant = catalog.getRestaurant(order.restaurant_id);
+  var missing = [];
+  var added = _.filter(order.items, function(line) {
+    var item = catalog.getItem(order.restaurant_id, line.item_id);
+
+    if (!restaurant || !restaurant.available || !item || !item.available) {
+      missing.push(line.title);
+      return false;
     }
+    cart.addItem(recipientId, order.restaurant_id, item, line.quantity);
+    recordItem(recipientId, order.restaurant_id, item.id, line.quantity);
+    return true;
+  });
+
+  if (!added.length) {
+    sendTextMessage(recipientId, "Sorry, nothing from order #" + order.id +
+      " is available right now.");
+    return;
+  }
+
+  var text = "Added " + describeLines(added) + " from order #" + order.id +
+    " to your cart.";
+  if (missing.length) {
+    text += " " + listDishes(missing) + " isn't available anymore.";
+  }
+  sendCartSummary(recipientId, text);
+  return 'ordering';
+}
+
+/*
+ * The dishes the sender orders most, as a carousel to add them to the cart
+ * again.
+ *
+ */
+function sendFavorites(recipientId) {
+  var favorites = _.take(_.filter(_.map(orders.favoriteItems(recipientId,
+    FAVORITES * 2), function(favorite) {
+      return {
+        restaurant: catalog.getRestaurant(favorite.restaurant_id),
+        item: catalog.getItem(favorite.restaurant_id, favorite.item_id)
+      };
+    }), function(favorite) {
+      return favorite.restaurant && favorite.restaurant.available &&
+        favorite.item && favorite.item.available;
+    }), FAVORITES);
+
+  if (!favorites.length) {
+    sendTextMessage(recipientId, "You don't have any favorites yet. The " +
+      "dishes you order most will show up here.");
+    return;
+  }
+
+  var carousel = messages.generic(recipientId);
+  favorites.forEach(function(favorite) {
+    addDishElement(carousel, favorite.restaurant, favorite.item, false);
+  });
+
+  sendTextMessage(recipientId, "Your favorites:");
+  return sendMessage(carousel);
+}
+
+/*
+ * The restaurant a message names: its exact title, otherwise the first one
+ * the NLU finds in the text.
+ *
+ */
+function findRestaurant(name) {
+  var restaurant = _.find(catalog.listRestaurants(), function(candidate) {
+    return _.toLower(candidate.title) === _.toLower(_.trim(name));
+  });
+  return restaurant || nlu.parse(name).entities.restaurants[0];
+}
+
+function subscribeToSpecials(senderID, restaurant, name) {
+  if (!restaurant) {
+    sendTextMessage(senderID, name ? "Sorry, I don't know a restaurant " +
+      "called " + name + "." : "Sorry, that restaurant isn't around anymore.");
+    return;
+  }
+
+  if (!specials.subscribe(senderID, restaurant.id)) {
+    sendTextMessage(senderID, "You're already getting " + restaurant.title +
+      "'s specials.");
+    return;
+  }
+  sendTextMessage(senderID, "Done! We'll message you " + restaurant.title +
+    "'s specials, at most " + specials.PER_DAY + " a day. Type \"unsubscribe " +
+    restaurant.title + "\" to stop them.");
+}
+
+/*
+ * Stop a restaurant's specials, or all of them without a restaurant.
+ *
+ */
+function unsubscribeFromSpecials(senderID, restaurant) {
+  var removed = specials.unsubscribe(senderID, restaurant && restaurant.id);
+
+  if (!removed.length) {
+    sendTextMessage(senderID, restaurant ? "You aren't getting " +
+      restaurant.title + "'s specials." : "You aren't getting any specials.");
+    return;
+  }
+  sendTextMessage(senderID, restaurant ? "OK, no more specials from " +
+    restaurant.title + "." : "OK, no more specials.");
+}
+
+/*
+ * Send a special to one subscriber: its text, then a card of the dish with a
+ * quick reply to unsubscribe. The metadata ties both to the special in the
+ * message log. Returns a promise for both being sent.
+ *
+ */
+function sendSpecial(recipientId, special) {
+  var restaurant = catalog.getRestaurant(special.restaurant_id);
+  var item = catalog.getItem(special.restaurant_id, special.item_id);
+  if (!restaurant || !item) {
+    return Promise.reject(new Error("The dish isn't on the menu anymore"));
+  }
+
+  var metadata = { special: special.id };
+  var text = sendMessage(messages.text(recipientId, special.text)
+    .metadata(metadata));
+
+  var card = messages.generic(recipientId).metadata(metadata);
+  addDishElement(card, restaurant, item, false);
+  card.quickReply("Unsubscribe", payloads.encode('specials.unsubscribe', {
+    restaurant: restaurant.id
+  }));
+
+  return Promise.all([text, sendMessage(card)]);
+}
+
+/*
+ * Remember a promo code the sender typed for their next checkout. Whether
+ * it applies is only known once their orders are priced.
+ *
+ */
+function enterPromoCode(context) {
+  var coupon = pricing.findCoupon(context.match[1]);
+
+  if (!coupon) {
+    sendTextMessage(context.senderID, "Sorry, " + context.match[1] +
+      " isn't a valid promo code.");
+    return;
+  }
+  if (!cart.getCart(context.senderID).length) {
+    sendTextMessage(context.senderID, "Add something to your cart first, " +
+      "then enter your promo code.");
+    return;
+  }
+
+  context.data.promo_code = coupon.code;
+  sendTextMessage(context.senderID, "Promo code " + coupon.code + " added (" +
+    coupon.description + "). You'll see it on your receipt.");
+
+  // Session data is dropped in the idle state
+  return context.state === 'idle' ? 'ordering' : undefined;
+}
+
+/*
+ * Check that the customer really wants to cancel the order they seem to
+ * mean: only the signed quick reply that names it cancels it.
+ *
+ */
+function askToCancelOrder(recipientId, question, cancel) {
+  return sendMessage(messages.text(recipientId, question)
+    .quickReply("Yes, cancel it", cancel)
+    .quickReply("Keep it", payloads.encode('order.keep')));
+}
+
+/*
+ * Cancel an order at the customer's request, as long as the restaurant
+ * hasn't finished it yet.
+ *
+ */
+function cancelOrder(recipientId, orderId) {
+  var order = orders.getOrder(orderId);
+
+  if (!order || order.sender_id !== recipientId) {
+    sendTextMessage(recipientId, "We couldn't find that order.");
+  } else if (!orders.canMoveTo(order, 'cancelled')) {
+    sendTextMessage(recipientId, "Sorry, order #" + order.id + " is " +
+      _.toLower(orders.statusLabel(order)) + " and can no longer be " +
+      "cancelled.");
+  } else {
+    // The customer is told about the cancellation by the status listener
+    orders.setStatus(order.id, 'cancelled');
+  }
+}
+
+/*
+ * Keep customers posted as the restaurant works through their order from
+ * the dashboard.
+ *
+ */
+orders.events.on('status', function(order) {
+  var restaurant = catalog.getRestaurant(order.restaurant_id);
+  var name = restaurant ? restaurant.title : "The restaurant";
+  var text;
+
+  switch (order.status) {
+    case 'accepted':
+      text = name + " accepted your order #" + order.id + ".";
+      break;
+    case 'preparing':
+      text = name + " is preparing your order #" + order.id + ".";
+      break;
+    case 'ready':
+      text = order.fulfilment === 'delivery' ?
+        "Your order #" + order.id + " from " + name + " is on its way!" :
+        "Your order #" + order.id + " is ready for pickup at " + name + "!";
+      break;
+    case 'picked_up':
+      text = "Enjoy your meal! Thanks for ordering from " + name + ".";
+      break;
+    case 'cancelled':
+      text = "Your order #" + order.id + " has been cancelled.";
+      break;
+  }
+
+  sendOrderUpdate(order, text);
+
+  if (order.status === 'picked_up') {
+    scheduler.schedule('order.rating', Date.now() +
+      RATING_DELAY_MINUTES * 60 * 1000, { order: order.id });
+  }
+});
+
+orders.events.on('eta', function(order, minutes) {
+  sendOrderUpdate(order, "Your order #" + order.id + " will be ready in " +
+    "about " + minutes + " minutes.");
+});
+
+/*
+ * Staff answer customers from the inbox on the dashboard, and the bot says
+ * when it takes over again.
+ *
+ */
+handoff.events.on('reply', function(current, text) {
+  sendTextMessage(current.sender_id, text);
+});
+
+handoff.events.on('end', function(current, reason) {
+  var text;
+
+  switch (reason) {
+    case 'customer':
+      text = "You're back with the bot. Tell me what you feel like eating.";
+      break;
+    case 'staff':
+      text = "Our team has finished helping you, you're back with the bot. " +
+        "Tell me what you feel like eating.";
+      break;
+    default:
+      text = "We haven't heard from you in a while, so you're back with the " +
+        "bot. Type \"talk to a human\" if you still need help.";
+  }
+  sendTextMessage(current.sender_id, text);
+});
+
+/*
+ * Specials from the admin API go out through the send queue, which paces
+ * them, and every subscriber's outcome ends up in the special's report.
+ *
+ */
+specials.events.on('broadcast', function(special, recipientIds) {
+  recipientIds.forEach(function(recipientId) {
+    sendSpecial(recipientId, special).then(function() {
+      specials.recordResult(special.id, recipientId);
+    }, function(error) {
+      specials.recordResult(special.id, recipientId,
+        (error && error.message) || String(error));
+    });
+  });
+});
+
+scheduler.handle('order.rating', function(data) {
+  var order = orders.getOrder(data.order);
+  if (order) {
+    return sendRatingRequest(order);
+  }
+});
+
+scheduler.handle('scheduled_order.confirm', function(data) {
+  return askToConfirmScheduledOrder(data.id);
+});
+
+scheduler.handle('scheduled_order.submit', function(data) {
+  submitScheduledOrder(data.id);
+});
+
+// Handoffs time out even when nobody writes again, and scheduled jobs catch
+// up when the clock jumped ahead
+setInterval(function() {
+  handoff.expireHandoffs(Date.now());
+  scheduler.runDue();
+}, 60 * 1000).unref();
+
+/*
+ * Ask how an order was, with one quick reply per score.
+ *
+ */
+function sendRatingRequest(order) {
+  var restaurant = catalog.getRestaurant(order.restaurant_id);
+  var message = messages.text(order.sender_id, "How was your order #" +
+    order.id + " from " + (restaurant ? restaurant.title : "us") + "?");
+
+  [1, 2, 3, 4, 5].forEach(function(score) {
+    message.quickReply(_.repeat("\u2605", score),
+      payloads.encode('rating', { order: order.id, score: score }));
+  });
+
+  return sendMessage(message);
+}
+
+/*
+ * Handle a tapped rating quick reply.
+ * After a score, the conversation waits for an optional comment.
+ *
+ */
+function receivedRating(context) {
+  var senderID = context.senderID;
+  var order = orders.getOrder(context.args.order);
+
+  if (context.args.score === 'skip') {
+    sendTextMessage(senderID, "Thanks for rating your order!");
+    return 'idle';
+  }
+
+  if (!order || order.sender_id !== senderID ||
+      !ratings.rateOrder(order, context.args.score)) {
+    sendTextMessage(senderID, "Thanks, but we already have your rating " +
+      "for that order.");
+    return;
+  }
+
+  var skip = payloads.encode('rating', { order: order.id, score: 'skip' });
+  sendMessage(messages.text(senderID, "Thanks! Anything else you'd like to " +
+    "tell us? Type a comment or tap Skip.")
+    .quickReply("Skip", skip), skip);
+  context.data.rating_order = order.id;
+  return 'rating_comment';
+}
+
+/*
+ * Message the customer about their order, with quick replies to acknowledge
+ * it or cancel while that's still possible.
+ *
+ */
+function sendOrderUpdate(order, text) {
+  // The metadata ties the message to the order in the message log
+  var message = messages.text(order.sender_id, text)
+    .metadata({ order: order.id, status: order.status });
+  var acknowledge = payloads.encode('order.ack', { order: order.id });
+
+  if (!orders.isFinal(order)) {
+    message.quickReply("Got it", acknowledge);
+    if (orders.canMoveTo(order, 'cancelled')) {
+      message.quickReply("Cancel order", payloads.encode('order.cancel', {
+        order: order.id
+      }));
+    }
+  }
+
+  return sendMessage(message, acknowledge);
+}
+
+/*
+ * Reply to "my orders" / "status" with the sender's most recent orders.
+ *
+ */
+function sendRecentOrders(recipientId) {
+  var recent = orders.recentOrders(recipientId, RECENT_ORDERS);
+  var upcoming = _.take(scheduledOrders.pendingScheduledOrders(recipientId),
+    RECENT_ORDERS);
+
+  if (!recent.length && !upcoming.length) {
+    sendTextMessage(recipientId, "You haven't placed any orders yet.");
+    return;
+  }
+
+  var carousel = messages.generic(recipientId);
+  upcoming.forEach(function(order) {
+    carousel.element({
+      title: "Scheduled for " + when.describeWhen(order.scheduled_for),
+      subtitle: describeLines(order.lines)
+    }).postback("Cancel", payloads.encode('scheduled.cancel', {
+      id: order.id
+    }));
+  });
+
+  recent.forEach(function(order) {
+    var restaurant = catalog.getRestaurant(order.restaurant_id);
+    carousel.element({
+      title: "#" + order.id + " from " +
+        (restaurant ? restaurant.title : order.restaurant_id),
+      subtitle: cart.itemCount(order.items) + " item(s), " +
+        pricing.formatMoney(order.total, order.currency) + " - " +
+        orders.statusLabel(order) + " (" +
+        when.describeWhen(order.created_at) + ")",
+      image_url: assetUrl(_.get(order, 'items[0].image_url'))
+    })
+      .postback("Reorder", payloads.encode('order.reorder', {
+        order: order.id
+      }))
+      .postback("Receipt", payloads.encode('order.receipt', {
+        order: order.id
+      }));
+  });
+
+  sendTextMessage(recipientId, "Your recent orders:");
+  return sendMessage(carousel);
+}
+
+/*
+ * The receipt template only takes complete addresses, so addresses typed in
+ * during checkout are left off the receipt.
+ *
+ */
+function receiptAddress(order) {
+  var address = order.delivery_address;
+  return order.fulfilment === 'delivery' && address && address.city ?
+    address : undefined;
+}
+
+/*
+ * Send the receipt for an order. Linked users get their saved name and
+ * payment nickname; everyone else pays at pickup or on delivery.
+ *
+ */
+function sendOrderReceipt(recipientId, order) {
+  var profile = profiles.getProfile(recipientId) || {
+    name: "Messenger customer",
+    payment_method: order.fulfilment === 'delivery' ? "Pay on delivery" :
+      "Pay at pickup"
   };
 
-  callSendAPI(messageData);
+  var currency = order.currency || pricing.settings().currency;
+  var receipt = messages.receipt(recipientId, {
+    recipient_name: profile.name,
+    order_number: order.id,
+    currency: currency,
+    payment_method: profile.payment_method,
+    timestamp: String(Math.floor(order.created_at / 1000)),
+    address: receiptAddress(order)
+  });
+
+  order.items.forEach(function(line) {
+    receipt.element({
+      title: line.title,
+      quantity: line.quantity,
+      price: pricing.round(line.price * line.quantity, currency),
+      currency: currency,
+      image_url: assetUrl(line.image_url)
+    });
+  });
+
+  (order.discounts || []).forEach(function(discount) {
+    receipt.adjustment(discount.name, -discount.amount);
+  });
+
+  return sendMessage(receipt.summary({
+    subtotal: order.subtotal,
+    shipping_cost: order.delivery_fee || 0,
+    total_tax: order.tax,
+    total_cost: order.total
+  }));
+}
+
+function sendTextMessage(recipientId, messageText) {
+  return sendMessage(messages.text(recipientId, messageText));
+}
+
+/*
+ * Send a button message using the Send API.
+ *
+ */
+function sendButtonMessage(recipientId) {
+  return sendMessage(messages.buttons(recipientId, "This is test text")
+    .url("Open Web URL", "https://www.oculus.com/en-us/rift/")
+    .postback("Trigger Postback", "DEVELOPER_DEFINED_PAYLOAD")
+    .call("Call Phone Number", "+16505551234"));
+}
+
+/*
+ * Send a Structured Message (Generic Message type) using the Send API.
+ *
+ */
+function sendGenericMessage(recipientId) {
+  return sendMessage(messages.generic(recipientId)
+    .element({
+      title: "rift",
+      subtitle: "Next-generation virtual reality",
+      item_url: "https://www.oculus.com/en-us/rift/",
+      image_url: SERVER_URL + "/assets/rift.png"
+    })
+    .url("Open Web URL", "https://www.oculus.com/en-us/rift/")
+    .postback("Call Postback", "Payload for first bubble")
+    .element({
+      title: "touch",
+      subtitle: "Your Hands, Now in VR",
+      item_url: "https://www.oculus.com/en-us/touch/",
+      image_url: SERVER_URL + "/assets/touch.png"
+    })
+    .url("Open Web URL", "https://www.oculus.com/en-us/touch/")
+    .postback("Call Postback", "Payload for second bubble"));
+}
+
+/*
+ * Send a receipt message using the Send API.
+ *
+ */
+function sendReceiptMessage(recipientId) {
+  // Generate a random receipt ID as the API requires a unique ID
+  var receiptId = "order" + Math.floor(Math.random()*1000);
+
+  return sendMessage(messages.receipt(recipientId, {
+    recipient_name: "Peter Chang",
+    order_number: receiptId,
+    currency: "USD",
+    payment_method: "Visa 1234",
+    timestamp: "1428444852",
+    address: {
+      street_1: "1 Hacker Way",
+      street_2: "",
+      city: "Menlo Park",
+      postal_code: "94025",
+      state: "CA",
+      country: "US"
+    }
+  })
+    .element({
+      title: "Oculus Rift",
+      subtitle: "Includes: headset, sensor, remote",
+      quantity: 1,
+      price: 599.00,
+      image_url: SERVER_URL + "/assets/riftsq.png"
+    })
+    .element({
+      title: "Samsung Gear VR",
+      subtitle: "Frost White",
+      quantity: 1,
+      price: 99.99,
+      image_url: SERVER_URL + "/assets/gearvrsq.png"
+    })
+    .summary({
+      subtotal: 698.99,
+      shipping_cost: 20.00,
+      total_tax: 57.67,
+      total_cost: 626.66
+    })
+    .adjustment("New Customer Discount", -50)
+    .adjustment("$100 Off Coupon", -100));
+}
+
+/*
+ * Send a message with Quick Reply buttons.
+ *
+ */
+function sendQuickReply(recipientId) {
+  return sendMessage(messages.text(recipientId,
+    "What's your favorite movie genre?")
+    .quickReply("Action", "DEVELOPER_DEFINED_PAYLOAD_FOR_PICKING_ACTION")
+    .quickReply("Comedy", "DEVELOPER_DEFINED_PAYLOAD_FOR_PICKING_COMEDY")
+    .quickReply("Drama", "DEVELOPER_DEFINED_PAYLOAD_FOR_PICKING_DRAMA"));
 }
 
 /*
@@ -684,14 +2452,7 @@ function sendQuickReply(recipientId) {
 function sendReadReceipt(recipientId) {
   console.log("Sending a read receipt to mark message as seen");
 
-  var messageData = {
-    recipient: {
-      id: recipientId
-    },
-    sender_action: "mark_seen"
-  };
-
-  callSendAPI(messageData);
+  return sendMessage(messages.action(recipientId, "mark_seen"));
 }
 
 /*
@@ -701,14 +2462,7 @@ function sendReadReceipt(recipientId) {
 function sendTypingOn(recipientId) {
   console.log("Turning typing indicator on");
 
-  var messageData = {
-    recipient: {
-      id: recipientId
-    },
-    sender_action: "typing_on"
-  };
-
-  callSendAPI(messageData);
+  return sendMessage(messages.action(recipientId, "typing_on"));
 }
 
 /*
@@ -718,14 +2472,7 @@ function sendTypingOn(recipientId) {
 function sendTypingOff(recipientId) {
   console.log("Turning typing indicator off");
 
-  var messageData = {
-    recipient: {
-      id: recipientId
-    },
-    sender_action: "typing_off"
-  };
-
-  callSendAPI(messageData);
+  return sendMessage(messages.action(recipientId, "typing_off"));
 }
 
 /*
@@ -733,64 +2480,85 @@ function sendTypingOff(recipientId) {
  *
  */
 function sendAccountLinking(recipientId) {
-  var messageData = {
-    recipient: {
-      id: recipientId
-    },
-    message: {
-      attachment: {
-        type: "template",
-        payload: {
-          template_type: "button",
-          text: "Welcome. Link your account.",
-          buttons:[{
-            type: "account_link",
-            url: SERVER_URL + "/authorize"
-          }]
-        }
-      }
+  return sendMessage(messages.buttons(recipientId,
+    "Welcome. Link your account.")
+    .accountLink(SERVER_URL + "/authorize"));
+}
+
+/*
+ * Send every message a builder from lib/messages makes, in order. Returns a
+ * promise that settles once they have all been sent. When the message asks
+ * something with quick replies, `likeAnswer` is the payload of the one a
+ * thumbs-up sticker should count as, e.g. "Got it".
+ *
+ */
+function sendMessage(builder, likeAnswer) {
+  var built = builder.build();
+  var question = _.last(built);
+
+  if (_.get(question, 'message.quick_replies')) {
+    if (likeAnswer) {
+      likeAnswers.set(question.recipient.id, likeAnswer);
+    } else {
+      likeAnswers.remove(question.recipient.id);
     }
-  };  
+  }
 
-  callSendAPI(messageData);
+  var sent = Promise.all(built.map(callSendAPI));
+  sent.catch(_.noop);
+  return sent;
 }
 
 /*
- * Call the Send API. The message data goes in the body. If successful, we'll 
- * get the message id in a response 
+ * Send a message on the recipient's channel: through the Send API queue for
+ * Messenger users, or to the browser for web chat users. The message data is
+ * in the Send API's format. Returns a promise for the response, which holds
+ * the message id when successful. Failures are retried and logged by the
+ * channel.
  *
  */
 function callSendAPI(messageData) {
-  request({
-    uri: 'https://graph.facebook.com/v2.6/me/messages',
-    qs: { access_token: PAGE_ACCESS_TOKEN },
-    method: 'POST',
-    json: messageData
-
-  }, function (error, response, body) {
-    if (!error && response.statusCode == 200) {
-      var recipientId = body.recipient_id;
-      var messageId = body.message_id;
-
-      if (messageId) {
-        console.log("Successfully sent message with id %s to recipient %s", 
-          messageId, recipientId);
-      } else {
-      console.log("Successfully called Send API for recipient %s", 
-        recipientId);
-      }
+  var sent = channels.send(messageData);
+
+  sent.then(function(body) {
+    var recipientId = body.recipient_id;
+    var messageId = body.message_id;
+
+    messageLog.recordSent(messageData, body);
+    eventLog.record('sent', { recipient: messageData.recipient.id });
+
+    if (messageId) {
+      console.log("Successfully sent message with id %s to recipient %s", 
+        messageId, recipientId);
     } else {
-      console.error("Failed calling Send API", response.statusCode, response.statusMessage, body.error);
+    console.log("Successfully called Send API for recipient %s", 
+      recipientId);
     }
-  });  
+  }, function() {
+    eventLog.record('send_failed', { recipient: messageData.recipient.id });
+  });
+
+  return sent;
 }
 
 // Start server
 // Webhooks must be available via SSL with a certificate signed by a valid 
-// certificate authority.
-app.listen(app.get('port'), function() {
-  console.log('Node app is running on port', app.get('port'));
-});
+// certificate authority. The tests require the app and listen themselves.
+if (require.main === module) {
+  app.listen(app.get('port'), function() {
+    console.log('Node app is running on port', app.get('port'));
+  });
+
+  if (PROFILE_SYNC) {
+    messengerProfile.createProfileSync({ accessToken: PAGE_ACCESS_TOKEN })
+      .sync().then(function(result) {
+        console.log("Messenger Profile version %d synced, updated: %s",
+          result.version, result.changed.join(", ") || "nothing");
+      }, function(error) {
+        console.error(error.message);
+      });
+  }
+}
 
 module.exports = app;
 
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/* jshint node: true, devel: true */
+'use strict';
+
+/*
+ * Set up the page's Messenger Profile (greeting, Get Started button and
+ * persistent menu) from config/messenger-profile.json:
+ *
+ *   node bin/messenger-profile.js sync    write whatever differs (default)
+ *   node bin/messenger-profile.js show    print the profile the page has now
+ *   node bin/messenger-profile.js build   print the profile sync would write
+ *
+ * Needs MESSENGER_PAGE_ACCESS_TOKEN, and MESSENGER_APP_SECRET (or
+ * PAYLOAD_SECRET) to sign the menu's payloads the way the app checks them.
+ * Set GRAPH_API_URL to try it against test/support/graph.js.
+ *
+ */
+
+const
+  messengerProfile = require('../lib/messengerprofile');
+
+const PAGE_ACCESS_TOKEN = process.env.MESSENGER_PAGE_ACCESS_TOKEN;
+
+function print(value) {
+  process.stdout.write(JSON.stringify(value, null, 2) + "\n");
+}
+
+function fail(error) {
+  console.error(error.message || error);
+  process.exit(1);
+}
+
+var command = process.argv[2] || 'sync';
+
+if (!(process.env.PAYLOAD_SECRET || process.env.MESSENGER_APP_SECRET)) {
+  fail("Set MESSENGER_APP_SECRET so menu payloads are signed like the app's");
+}
+
+if (command === 'build') {
+  try {
+    print(messengerProfile.buildProfile());
+  } catch (e) {
+    fail(e);
+  }
+} else if (command === 'sync' || command === 'show') {
+  if (!PAGE_ACCESS_TOKEN) {
+    fail("Set MESSENGER_PAGE_ACCESS_TOKEN");
+  }
+
+  var profile = messengerProfile.createProfileSync({
+    accessToken: PAGE_ACCESS_TOKEN
+  });
+
+  if (command === 'show') {
+    profile.fetch().then(print, fail);
+  } else {
+    profile.sync().then(function(result) {
+      if (result.changed.length || result.removed.length) {
+        console.log("Messenger Profile version %d synced, updated: %s, " +
+          "removed: %s", result.version, result.changed.join(", ") || "none",
+          result.removed.join(", ") || "none");
+      } else {
+        console.log("Messenger Profile version %d is already up to date",
+          result.version);
+      }
+    }, fail);
+  }
+} else {
+  fail("Usage: node bin/messenger-profile.js [sync|show|build]");
+}
@@ -0,0 +1,184 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  express = require('express'),
+  analytics = require('./analytics'),
+  auth = require('./auth'),
+  catalog = require('./catalog'),
+  messageLog = require('./messagelog'),
+  pricing = require('./pricing'),
+  specials = require('./specials'),
+  _ = require('lodash');
+
+var router = express.Router();
+
+/*
+ * Send the outcome of a catalog change: 404 when the target doesn't exist,
+ * 400 with the validation errors, otherwise the stored entry.
+ *
+ */
+function sendResult(res, result, key, status) {
+  if (!result) {
+    res.status(404).json({ error: "Not found" });
+  } else if (result.errors) {
+    res.status(400).json({ errors: result.errors });
+  } else {
+    res.status(status || 200).json(result[key]);
+  }
+}
+
+router.use(auth.requireAdmin);
+
+router.get('/restaurants', function(req, res) {
+  res.json(catalog.listRestaurants());
+});
+
+router.post('/restaurants', function(req, res) {
+  sendResult(res, catalog.createRestaurant(req.body || {}), 'restaurant', 201);
+});
+
+router.get('/restaurants/:id', function(req, res) {
+  var restaurant = catalog.getRestaurant(req.params.id);
+  sendResult(res, restaurant && { restaurant: restaurant }, 'restaurant');
+});
+
+router.put('/restaurants/:id', function(req, res) {
+  sendResult(res, catalog.updateRestaurant(req.params.id, req.body || {}),
+    'restaurant');
+});
+
+router.delete('/restaurants/:id', function(req, res) {
+  if (catalog.deleteRestaurant(req.params.id)) {
+    res.sendStatus(204);
+  } else {
+    res.status(404).json({ error: "Not found" });
+  }
+});
+
+router.get('/restaurants/:id/items', function(req, res) {
+  var items = catalog.listItems(req.params.id);
+  if (items) {
+    res.json(items);
+  } else {
+    res.status(404).json({ error: "Not found" });
+  }
+});
+
+router.post('/restaurants/:id/items', function(req, res) {
+  sendResult(res, catalog.createItem(req.params.id, req.body || {}), 'item',
+    201);
+});
+
+router.put('/restaurants/:id/items/:itemId', function(req, res) {
+  sendResult(res, catalog.updateItem(req.params.id, req.params.itemId,
+    req.body || {}), 'item');
+});
+
+router.delete('/restaurants/:id/items/:itemId', function(req, res) {
+  if (catalog.deleteItem(req.params.id, req.params.itemId)) {
+    res.sendStatus(204);
+  } else {
+    res.status(404).json({ error: "Not found" });
+  }
+});
+
+/*
+ * Broadcast a special to the restaurant's subscribers: { text, item_id },
+ * with the item shown as a card below the text. Sending goes on after the
+ * response, which is the special's report so far; poll its Location for the
+ * rest.
+ *
+ */
+router.post('/restaurants/:id/specials', function(req, res) {
+  var result = specials.createSpecial(req.params.id, req.body || {});
+  if (result && result.special) {
+    res.location(req.baseUrl + '/specials/' + result.special.id);
+    result.report = specials.report(result.special);
+  }
+  sendResult(res, result, 'report', 202);
+});
+
+router.get('/restaurants/:id/specials', function(req, res) {
+  if (!catalog.getRestaurant(req.params.id)) {
+    res.status(404).json({ error: "Not found" });
+    return;
+  }
+
+  res.json({
+    subscribers: specials.restaurantSubscribers(req.params.id).length,
+    specials: _.map(specials.restaurantSpecials(req.params.id),
+      specials.report)
+  });
+});
+
+router.get('/specials/:id', function(req, res) {
+  var special = specials.getSpecial(req.params.id);
+  sendResult(res, special && { report: specials.report(special) }, 'report');
+});
+
+/*
+ * The messages sent to a user, newest first, with how far each got:
+ * sent, delivered or read.
+ *
+ */
+router.get('/messages/:recipient', function(req, res) {
+  res.json(_.map(messageLog.recipientMessages(req.params.recipient),
+    function(entry) {
+      return _.assign({ status: messageLog.messageStatus(entry) }, entry);
+    }));
+});
+
+/*
+ * Usage report for a range of days, ?from=YYYY-MM-DD&to=YYYY-MM-DD (the last
+ * 30 days by default). Answers with JSON or an HTML page depending on the
+ * Accept header or ?format=json|html. With ?format=csv&table=<name> one of
+ * its tables is exported as CSV, see lib/analytics.
+ *
+ */
+router.get('/analytics', function(req, res) {
+  var range = analytics.parseRange(req.query);
+  if (range.error) {
+    res.status(400).json({ error: range.error });
+    return;
+  }
+
+  var result = analytics.report(range.from, range.to);
+  var sendCsv = function() {
+    var table = req.query.table || 'daily';
+    var csv = analytics.toCsv(result, table);
+    if (csv === undefined) {
+      res.status(400).json({ error: "table must be one of " +
+        analytics.TABLES.join(', ') });
+      return;
+    }
+    res.attachment('analytics-' + table + '-' + result.from + '-' +
+      result.to + '.csv');
+    res.type('text/csv').send(csv);
+  };
+  var sendHtml = function() {
+    res.render('analytics', {
+      baseUrl: req.baseUrl,
+      report: result,
+      tables: analytics.TABLES,
+      formatMoney: pricing.formatMoney,
+      percent: function(rate) {
+        return rate === null ? "–" : Math.round(rate * 1000) / 10 + "%";
+      }
+    });
+  };
+  var sendJson = function() {
+    res.json(result);
+  };
+
+  var formats = { csv: sendCsv, html: sendHtml, json: sendJson };
+  if (req.query.format) {
+    (formats[req.query.format] || function() {
+      res.status(400).json({ error: "format must be json, html or csv" });
+    })();
+    return;
+  }
+  res.format({ json: sendJson, html: sendHtml, 'text/csv': sendCsv });
+});
+
+module.exports = router;
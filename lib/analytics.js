@@ -0,0 +1,263 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  catalog = require('./catalog'),
+  eventLog = require('./eventlog'),
+  messageLog = require('./messagelog'),
+  orders = require('./orders'),
+  pricing = require('./pricing'),
+  _ = require('lodash');
+
+// Days covered by a report when no range is given
+const DEFAULT_DAYS = 30;
+
+// Longest range a report may cover, to keep reading the log quick
+const MAX_DAYS = 366;
+
+// Rows in the top restaurants and dishes tables
+const TOP = 10;
+
+// The steps from looking around to ordering, each an event type
+const FUNNEL = ['browse', 'restaurant', 'item', 'order'];
+
+// Columns of each table a report can be exported as, as CSV
+const TABLES = {
+  daily: ['day', 'active_users', 'received', 'sent', 'fallbacks'],
+  funnel: ['step', 'users', 'conversion'],
+  restaurants: ['restaurant_id', 'title', 'taps'],
+  dishes: ['restaurant_id', 'item_id', 'title', 'taps'],
+  revenue: ['restaurant_id', 'title', 'currency', 'orders', 'revenue']
+};
+
+function parseDay(value) {
+  var match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) {
+    return undefined;
+  }
+  var date = new Date(+match[1], match[2] - 1, +match[3]);
+  // Dates such as 2016-02-30 roll over into the next month
+  return date.getMonth() === match[2] - 1 && date.getDate() === +match[3] ?
+    date : undefined;
+}
+
+/*
+ * The time range of a report from its query, { from, to } as local days
+ * (YYYY-MM-DD, both included). Returns { from, to } in ms or { error }.
+ * Without a range, the last DEFAULT_DAYS days are covered.
+ *
+ */
+function parseRange(query) {
+  var today = new Date();
+  var to = query.to ? parseDay(query.to) :
+    new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  var from = query.from ? parseDay(query.from) :
+    new Date(to && to.getFullYear(), to && to.getMonth(),
+      to && to.getDate() - (DEFAULT_DAYS - 1));
+
+  if (!from || !to) {
+    return { error: "from and to must be dates as YYYY-MM-DD" };
+  }
+  if (from > to) {
+    return { error: "from must not be after to" };
+  }
+
+  var end = new Date(to.getFullYear(), to.getMonth(), to.getDate() + 1);
+  if (eventLog.daysBetween(from.getTime(), end.getTime() - 1).length >
+      MAX_DAYS) {
+    return { error: "A report can cover at most " + MAX_DAYS + " days" };
+  }
+  return { from: from.getTime(), to: end.getTime() - 1 };
+}
+
+function uniqueSenders(events) {
+  return _.uniq(_.map(events, 'sender')).length;
+}
+
+/*
+ * Users active on each day: everyone who sent us anything that day, along
+ * with the number of events received and messages sent and how often we
+ * didn't understand.
+ *
+ */
+function dailyActivity(events, from, to) {
+  var byDay = _.groupBy(events, function(event) {
+    return eventLog.dayOf(event.at);
+  });
+
+  return eventLog.daysBetween(from, to).map(function(day) {
+    var dayEvents = byDay[day] || [];
+    var received = _.filter(dayEvents, { type: 'received' });
+    return {
+      day: day,
+      active_users: uniqueSenders(received),
+      received: received.length,
+      sent: _.filter(dayEvents, { type: 'sent' }).length,
+      fallbacks: _.filter(dayEvents, { type: 'fallback' }).length
+    };
+  });
+}
+
+/*
+ * How many typed messages we understood: text messages that got a real
+ * answer rather than "I'm not sure what you mean".
+ *
+ */
+function keywordHits(events) {
+  var texts = _.filter(events, { type: 'received', kind: 'text' }).length;
+  var fallbacks = _.filter(events, { type: 'fallback' }).length;
+
+  return {
+    texts: texts,
+    fallbacks: fallbacks,
+    hit_rate: texts ? _.round((texts - fallbacks) / texts, 4) : null
+  };
+}
+
+/*
+ * Users reaching each step from browsing to ordering, with the share of the
+ * previous step's users that got there.
+ *
+ */
+function funnel(events) {
+  var previous;
+
+  return FUNNEL.map(function(step) {
+    var users = uniqueSenders(_.filter(events, { type: step }));
+    var row = {
+      step: step,
+      users: users,
+      conversion: previous === undefined ? null :
+        previous ? _.round(users / previous, 4) : 0
+    };
+    previous = users;
+    return row;
+  });
+}
+
+function topRestaurants(events) {
+  var taps = _.countBy(_.filter(events, { type: 'restaurant' }), 'restaurant');
+
+  return _.take(_.orderBy(_.map(taps, function(count, id) {
+    var restaurant = catalog.getRestaurant(id);
+    return {
+      restaurant_id: id,
+      title: restaurant ? restaurant.title : id,
+      taps: count
+    };
+  }), ['taps', 'restaurant_id'], ['desc', 'asc']), TOP);
+}
+
+function topDishes(events) {
+  var taps = _.countBy(_.filter(events, { type: 'item' }), function(event) {
+    return event.restaurant + '/' + event.item;
+  });
+
+  return _.take(_.orderBy(_.map(taps, function(count, key) {
+    var ids = key.split('/');
+    var item = catalog.getItem(ids[0], ids[1]);
+    return {
+      restaurant_id: ids[0],
+      item_id: ids[1],
+      title: item ? item.title : ids[1],
+      taps: count
+    };
+  }), ['taps', 'item_id'], ['desc', 'asc']), TOP);
+}
+
+/*
+ * Revenue of the orders placed in the range, per restaurant and currency.
+ * Cancelled orders don't count.
+ *
+ */
+function revenue(from, to) {
+  var placed = _.reject(orders.ordersBetween(from, to), { status: 'cancelled' });
+  var groups = _.groupBy(placed, function(order) {
+    return order.restaurant_id + '/' +
+      (order.currency || pricing.settings().currency);
+  });
+
+  return _.orderBy(_.map(groups, function(group, key) {
+    var ids = key.split('/');
+    var restaurant = catalog.getRestaurant(ids[0]);
+    return {
+      restaurant_id: ids[0],
+      title: restaurant ? restaurant.title : ids[0],
+      currency: ids[1],
+      orders: group.length,
+      revenue: pricing.round(_.sumBy(group, 'total'), ids[1])
+    };
+  }), ['revenue', 'restaurant_id'], ['desc', 'asc']);
+}
+
+/*
+ * How many of the messages sent in the range were delivered and read, see
+ * lib/messagelog.
+ *
+ */
+function messageReach(from, to) {
+  var sent = _.filter(messageLog.allMessages(), function(entry) {
+    return entry.sent_at >= from && entry.sent_at <= to;
+  });
+  var read = _.filter(sent, 'read_at').length;
+
+  return {
+    sent: sent.length,
+    delivered: _.filter(sent, 'delivered_at').length,
+    read: read,
+    read_rate: sent.length ? _.round(read / sent.length, 4) : null
+  };
+}
+
+/*
+ * Everything the analytics report shows for a time range (ms, inclusive).
+ *
+ */
+function report(from, to) {
+  var events = eventLog.between(from, to);
+
+  return {
+    from: eventLog.dayOf(from),
+    to: eventLog.dayOf(to),
+    active_users: uniqueSenders(_.filter(events, { type: 'received' })),
+    daily: dailyActivity(events, from, to),
+    keywords: keywordHits(events),
+    funnel: funnel(events),
+    restaurants: topRestaurants(events),
+    dishes: topDishes(events),
+    revenue: revenue(from, to),
+    messages: messageReach(from, to)
+  };
+}
+
+function csvField(value) {
+  var text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+/*
+ * One table of a report as CSV, or undefined when there's no such table.
+ *
+ */
+function toCsv(result, table) {
+  if (!_.has(TABLES, table)) {
+    return undefined;
+  }
+
+  var columns = TABLES[table];
+
+  return [columns].concat(result[table].map(function(row) {
+    return _.map(columns, function(column) {
+      return row[column];
+    });
+  })).map(function(row) {
+    return row.map(csvField).join(',');
+  }).join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  TABLES: Object.keys(TABLES),
+  parseRange: parseRange,
+  report: report,
+  toCsv: toCsv
+};
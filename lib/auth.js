@@ -0,0 +1,89 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  crypto = require('crypto'),
+  buffer = require('./buffer'),
+  _ = require('lodash');
+
+// Token required for the admin API and the restaurant dashboard. Both are
+// disabled when it is not set.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+
+function digest(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/*
+ * Read the token from either an "Authorization: Bearer <token>" header (API
+ * clients) or HTTP basic auth with the token as password (browsers).
+ *
+ */
+function requestToken(req) {
+  var header = req.headers.authorization || '';
+
+  if (isBasicAuth(req)) {
+    var credentials = buffer.fromString(header.replace(/^Basic\s+/i, ''),
+      'base64').toString();
+    return credentials.substring(credentials.indexOf(':') + 1);
+  }
+  return header.replace(/^Bearer\s+/i, '');
+}
+
+function isBasicAuth(req) {
+  return /^Basic\s+/i.test(req.headers.authorization || '');
+}
+
+/*
+ * Only let requests carrying the admin token through. Digests of the tokens
+ * are compared so the comparison doesn't leak the token's length or prefix.
+ *
+ */
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    res.status(403).json({ error: "Admin access is disabled, set ADMIN_TOKEN" });
+    return;
+  }
+
+  if (digest(ADMIN_TOKEN) !== digest(requestToken(req))) {
+    res.set('WWW-Authenticate', 'Basic realm="Gordan"');
+    res.status(401).json({ error: "Invalid admin token" });
+    return;
+  }
+  next();
+}
+
+/*
+ * The token dashboard forms carry to show they were posted from our own
+ * pages. It is derived from the admin token, so other sites can't know it
+ * and open pages keep working across restarts.
+ *
+ */
+function csrfToken() {
+  return crypto.createHmac('sha256', ADMIN_TOKEN).update('dashboard forms')
+    .digest('hex');
+}
+
+/*
+ * Browsers resend basic auth with requests any other site makes them send,
+ * so form posts authenticated that way must carry csrfToken() as `_csrf`.
+ * Bearer tokens are only ever sent by the client that has them. Expects the
+ * form body to be parsed.
+ *
+ */
+function requireCsrfToken(req, res, next) {
+  var token = String(_.get(req, 'body._csrf') || '');
+
+  if (isBasicAuth(req) && digest(token) !== digest(csrfToken())) {
+    res.status(403).send("This form has expired, reload the page and try " +
+      "again");
+    return;
+  }
+  next();
+}
+
+module.exports = {
+  requireAdmin: requireAdmin,
+  csrfToken: csrfToken,
+  requireCsrfToken: requireCsrfToken
+};
@@ -0,0 +1,19 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+/*
+ * A Buffer holding a string in an encoding such as 'utf8' or 'base64'.
+ * `new Buffer` is deprecated in favour of Buffer.from, but before Node 4.5
+ * Buffer.from is the Uint8Array.from it inherits, which ignores encodings.
+ *
+ */
+function fromString(value, encoding) {
+  if (Buffer.from && Buffer.from !== Uint8Array.from) {
+    return Buffer.from(value, encoding);
+  }
+  return new Buffer(value, encoding);
+}
+
+module.exports = {
+  fromString: fromString
+};
@@ -0,0 +1,117 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  createStore = require('./store'),
+  catalog = require('./catalog'),
+  _ = require('lodash');
+
+// One cart per sender ID. Each cart is a list of lines of the form
+// { restaurant_id, item_id, title, price, image_url, quantity }.
+const carts = createStore('carts');
+
+function getCart(senderID) {
+  return carts.get(senderID) || [];
+}
+
+/*
+ * Add `quantity` units (one by default) of a catalog item to the sender's
+ * cart. If the item is already in the cart, its quantity is bumped instead
+ * of adding a second line.
+ *
+ */
+function addItem(senderID, restaurantID, item, quantity) {
+  var cart = getCart(senderID);
+  var line = _.find(cart, { restaurant_id: restaurantID, item_id: item.id });
+
+  quantity = quantity || 1;
+
+  if (line) {
+    line.quantity += quantity;
+  } else {
+    cart.push({
+      restaurant_id: restaurantID,
+      item_id: item.id,
+      title: item.title,
+      price: item.price,
+      image_url: item.image_url,
+      quantity: quantity
+    });
+  }
+
+  carts.set(senderID, cart);
+  return cart;
+}
+
+/*
+ * Change the quantity of a line already in the sender's cart by `delta`,
+ * dropping the line when its quantity reaches zero.
+ *
+ */
+function changeQuantity(senderID, restaurantID, itemID, delta) {
+  var cart = getCart(senderID);
+  var line = _.find(cart, { restaurant_id: restaurantID, item_id: itemID });
+
+  if (line) {
+    line.quantity += delta;
+    if (line.quantity <= 0) {
+      _.pull(cart, line);
+    }
+  }
+
+  if (cart.length) {
+    carts.set(senderID, cart);
+  } else {
+    carts.remove(senderID);
+  }
+  return cart;
+}
+
+/*
+ * Price cart lines from the catalog as it is now, since prices may have
+ * changed since the items were added. Returns { lines, unavailable } where
+ * unavailable holds the lines whose dish is gone or sold out.
+ *
+ */
+function priceLines(cart) {
+  var result = { lines: [], unavailable: [] };
+
+  cart.forEach(function(line) {
+    var item = catalog.getItem(line.restaurant_id, line.item_id);
+    var restaurant = catalog.getRestaurant(line.restaurant_id);
+
+    if (!item || !item.available || !restaurant.available) {
+      result.unavailable.push(line);
+    } else {
+      result.lines.push(_.assign({}, line, {
+        title: item.title,
+        price: item.price
+      }));
+    }
+  });
+  return result;
+}
+
+function clearCart(senderID) {
+  carts.remove(senderID);
+}
+
+function itemCount(cart) {
+  return _.sumBy(cart, 'quantity');
+}
+
+function subtotal(cart) {
+  return _.round(_.sumBy(cart, function(line) {
+    return line.price * line.quantity;
+  }), 2);
+}
+
+module.exports = {
+  getCart: getCart,
+  addItem: addItem,
+  changeQuantity: changeQuantity,
+  priceLines: priceLines,
+  clearCart: clearCart,
+  itemCount: itemCount,
+  subtotal: subtotal
+};
@@ -0,0 +1,313 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  createStore = require('./store'),
+  geo = require('./geo'),
+  pricing = require('./pricing'),
+  seed = require('../config/catalog.json'),
+  _ = require('lodash');
+
+// The generic template accepts at most 10 elements, so neither the restaurant
+// carousel nor a restaurant's menu may grow past that.
+const MAX_ELEMENTS = 10;
+
+// Titles and subtitles longer than this are cut off by Messenger.
+const MAX_TITLE_LENGTH = 80;
+
+const store = createStore('catalog');
+
+// The catalog is seeded from config/catalog.json the first time the app runs.
+// From then on it is only changed through the admin API.
+if (!store.get('restaurants')) {
+  store.set('restaurants', seed.restaurants);
+}
+
+function restaurants() {
+  return store.get('restaurants');
+}
+
+function save(list) {
+  store.set('restaurants', list);
+}
+
+function uniqueId(title, taken) {
+  var base = _.snakeCase(title) || 'entry';
+  var id = base;
+  var suffix = 1;
+
+  while (_.includes(taken, id)) {
+    suffix += 1;
+    id = base + '_' + suffix;
+  }
+  return id;
+}
+
+function validateTitle(errors, value, field, required) {
+  if (value === undefined && !required) {
+    return;
+  }
+  if (!_.isString(value) || !_.trim(value)) {
+    errors.push(field + " is required");
+  } else if (value.length > MAX_TITLE_LENGTH) {
+    errors.push(field + " must be at most " + MAX_TITLE_LENGTH + " characters");
+  }
+}
+
+function validateString(errors, value, field) {
+  if (value !== undefined && !_.isString(value)) {
+    errors.push(field + " must be a string");
+  }
+}
+
+function validateTags(errors, value, field) {
+  if (value !== undefined &&
+      !(_.isArray(value) && _.every(value, _.isString))) {
+    errors.push(field + " must be a list of strings");
+  }
+}
+
+function validateAvailable(errors, value) {
+  if (value !== undefined && !_.isBoolean(value)) {
+    errors.push("available must be true or false");
+  }
+}
+
+/*
+ * Check a dish before it is stored. `partial` is set for updates, where
+ * missing fields keep their current value. Returns a list of error messages,
+ * empty when the item is valid.
+ *
+ */
+function validateItem(item, partial) {
+  var errors = [];
+
+  validateTitle(errors, item.title, "title", !partial);
+  validateString(errors, item.image_url, "image_url");
+  validateTags(errors, item.cuisines, "cuisines");
+  validateTags(errors, item.dietary, "dietary");
+  validateAvailable(errors, item.available);
+
+  if (item.price !== undefined || !partial) {
+    var price = item.price;
+    if (!_.isFinite(price) || price <= 0 || _.round(price, 2) !== price) {
+      errors.push("price must be a positive amount with at most two decimals");
+    }
+  }
+
+  return errors;
+}
+
+/*
+ * Check a restaurant (and any dishes given with it) before it is stored.
+ *
+ */
+function validateRestaurant(restaurant, partial) {
+  var errors = [];
+
+  validateTitle(errors, restaurant.title, "title", !partial);
+  validateTitle(errors, restaurant.subtitle, "subtitle", false);
+  validateString(errors, restaurant.url, "url");
+  validateString(errors, restaurant.image_url, "image_url");
+  validateTags(errors, restaurant.cuisines, "cuisines");
+  validateAvailable(errors, restaurant.available);
+
+  if (restaurant.location !== undefined &&
+      !geo.isValidLocation(restaurant.location)) {
+    errors.push("location must be { lat, long } in degrees");
+  }
+  if (restaurant.hours !== undefined && !geo.isValidHours(restaurant.hours)) {
+    errors.push("hours must map days (mon..sun) to \"HH:MM-HH:MM\"");
+  }
+  if (restaurant.pricing !== undefined &&
+      !pricing.isValidPricing(restaurant.pricing)) {
+    errors.push("pricing may set a known currency and tax region and " +
+      "non-negative delivery_fee, delivery_minimum and free_delivery_over");
+  }
+
+  if (restaurant.items !== undefined) {
+    if (!_.isArray(restaurant.items)) {
+      errors.push("items must be a list");
+    } else {
+      if (restaurant.items.length > MAX_ELEMENTS) {
+        errors.push("a restaurant can have at most " + MAX_ELEMENTS + " items");
+      }
+      restaurant.items.forEach(function(item, index) {
+        validateItem(item, false).forEach(function(error) {
+          errors.push("items[" + index + "]: " + error);
+        });
+      });
+    }
+  }
+
+  return errors;
+}
+
+function pickRestaurantFields(restaurant) {
+  return _.pick(restaurant, ['title', 'subtitle', 'url', 'image_url',
+    'cuisines', 'location', 'hours', 'available', 'pricing']);
+}
+
+function pickItemFields(item) {
+  return _.pick(item, ['title', 'price', 'image_url', 'cuisines', 'dietary',
+    'available']);
+}
+
+function newItem(item, taken) {
+  return _.assign({ id: uniqueId(item.title, taken), dietary: [],
+    available: true }, pickItemFields(item));
+}
+
+function listRestaurants(onlyAvailable) {
+  var list = restaurants();
+  return onlyAvailable ? _.filter(list, 'available') : list;
+}
+
+function getRestaurant(id) {
+  return _.find(restaurants(), { id: id });
+}
+
+function listItems(restaurantId, onlyAvailable) {
+  var restaurant = getRestaurant(restaurantId);
+  if (!restaurant) {
+    return undefined;
+  }
+  return onlyAvailable ? _.filter(restaurant.items, 'available') :
+    restaurant.items;
+}
+
+function getItem(restaurantId, itemId) {
+  return _.find(listItems(restaurantId) || [], { id: itemId });
+}
+
+/*
+ * Cuisines of a dish, falling back to its restaurant's when the dish doesn't
+ * list its own.
+ *
+ */
+function itemCuisines(restaurant, item) {
+  return item.cuisines || restaurant.cuisines || [];
+}
+
+/*
+ * The functions below change the catalog. Each returns { errors } when the
+ * input fails validation, or { restaurant } / { item } with the stored entry.
+ *
+ */
+function createRestaurant(input) {
+  var errors = validateRestaurant(input, false);
+  var list = restaurants();
+
+  if (list.length >= MAX_ELEMENTS) {
+    errors.push("there can be at most " + MAX_ELEMENTS + " restaurants");
+  }
+  if (errors.length) {
+    return { errors: errors };
+  }
+
+  var restaurant = _.assign({
+    id: uniqueId(input.title, _.map(list, 'id')),
+    cuisines: [],
+    available: true
+  }, pickRestaurantFields(input));
+
+  restaurant.items = [];
+  (input.items || []).forEach(function(item) {
+    restaurant.items.push(newItem(item, _.map(restaurant.items, 'id')));
+  });
+
+  list.push(restaurant);
+  save(list);
+  return { restaurant: restaurant };
+}
+
+function updateRestaurant(id, input) {
+  var list = restaurants();
+  var restaurant = _.find(list, { id: id });
+  if (!restaurant) {
+    return undefined;
+  }
+
+  // Dishes are managed through their own routes
+  var errors = validateRestaurant(_.omit(input, 'items'), true);
+  if (errors.length) {
+    return { errors: errors };
+  }
+
+  _.assign(restaurant, pickRestaurantFields(input));
+  save(list);
+  return { restaurant: restaurant };
+}
+
+function deleteRestaurant(id) {
+  var list = restaurants();
+  var removed = _.remove(list, { id: id });
+  save(list);
+  return removed.length > 0;
+}
+
+function createItem(restaurantId, input) {
+  var list = restaurants();
+  var restaurant = _.find(list, { id: restaurantId });
+  if (!restaurant) {
+    return undefined;
+  }
+
+  var errors = validateItem(input, false);
+  if (restaurant.items.length >= MAX_ELEMENTS) {
+    errors.push("a restaurant can have at most " + MAX_ELEMENTS + " items");
+  }
+  if (errors.length) {
+    return { errors: errors };
+  }
+
+  var item = newItem(input, _.map(restaurant.items, 'id'));
+  restaurant.items.push(item);
+  save(list);
+  return { item: item };
+}
+
+function updateItem(restaurantId, itemId, input) {
+  var list = restaurants();
+  var restaurant = _.find(list, { id: restaurantId });
+  var item = restaurant && _.find(restaurant.items, { id: itemId });
+  if (!item) {
+    return undefined;
+  }
+
+  var errors = validateItem(input, true);
+  if (errors.length) {
+    return { errors: errors };
+  }
+
+  _.assign(item, pickItemFields(input));
+  save(list);
+  return { item: item };
+}
+
+function deleteItem(restaurantId, itemId) {
+  var list = restaurants();
+  var restaurant = _.find(list, { id: restaurantId });
+  if (!restaurant) {
+    return false;
+  }
+
+  var removed = _.remove(restaurant.items, { id: itemId });
+  save(list);
+  return removed.length > 0;
+}
+
+module.exports = {
+  MAX_ELEMENTS: MAX_ELEMENTS,
+  listRestaurants: listRestaurants,
+  getRestaurant: getRestaurant,
+  listItems: listItems,
+  getItem: getItem,
+  itemCuisines: itemCuisines,
+  createRestaurant: createRestaurant,
+  updateRestaurant: updateRestaurant,
+  deleteRestaurant: deleteRestaurant,
+  createItem: createItem,
+  updateItem: updateItem,
+  deleteItem: deleteItem
+};
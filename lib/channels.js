@@ -0,0 +1,40 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  _ = require('lodash');
+
+/*
+ * Routes outgoing messages to the channel their recipient talks to us on.
+ * Replies are always built in the Send API's format ({ recipient, message }
+ * or { recipient, sender_action }); each channel delivers them its own way.
+ *
+ * A channel is an object with send(messageData), returning a promise for
+ * { recipient_id, message_id }, and owns(recipientId) saying whether the
+ * recipient belongs to it. Recipients no registered channel owns go to
+ * `defaultChannel`, the Messenger send queue.
+ *
+ */
+function createChannels(defaultChannel) {
+  var channels = [];
+
+  function channelFor(recipientId) {
+    return _.find(channels, function(channel) {
+      return channel.owns(recipientId);
+    }) || defaultChannel;
+  }
+
+  return {
+    register: function(channel) {
+      channels.push(channel);
+    },
+
+    channelFor: channelFor,
+
+    send: function(messageData) {
+      return channelFor(messageData.recipient.id).send(messageData);
+    }
+  };
+}
+
+module.exports = createChannels;
@@ -0,0 +1,209 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  createStore = require('./store'),
+  _ = require('lodash');
+
+// Sessions left alone for longer than this start over from the initial state
+const DEFAULT_TTL = 30 * 60 * 1000;
+
+/*
+ * Whether a transition applies to an event. Events look like
+ * { type: 'text', text, intent } where intent is the parser's result,
+ * { type: 'postback', action, args }, { type: 'quick_reply', action, args },
+ * { type: 'location', coordinates }, { type: 'like' } for the thumbs-up
+ * sticker, { type: 'attachment', attachment } for an image, other sticker
+ * (attachment type 'sticker'), audio, video or file, or { type: 'referral',
+ * ref, source } when a user arrives from an m.me link. Postbacks and quick
+ * replies carry the action and arguments of their payload (see
+ * lib/payloads); those whose payload couldn't be verified have no action.
+ *
+ * A transition may match on:
+ *   text        exact text (case-insensitive), or a list of them
+ *   pattern     regular expression the text matches
+ *   intent      parsed intent name, or a list of them
+ *   anyText     true to match every text message
+ *   postback    postback action, or a list of them
+ *   quickReply  quick reply action, or a list of them
+ *   location    true to match a shared location
+ *   like        true to match the thumbs-up sticker
+ *   attachment  attachment type (image, sticker, audio...), or a list of them
+ *   referral    true to match a referral
+ *
+ */
+function matches(transition, event) {
+  switch (event.type) {
+    case 'text':
+      var text = _.toLower(_.trim(event.text));
+      return transition.anyText === true ||
+        _.includes(_.castArray(transition.text), text) ||
+        (_.isRegExp(transition.pattern) &&
+          transition.pattern.test(_.trim(event.text))) ||
+        (event.intent !== undefined &&
+          _.includes(_.castArray(transition.intent), event.intent.intent));
+    case 'postback':
+      return event.action !== undefined &&
+        _.includes(_.castArray(transition.postback), event.action);
+    case 'quick_reply':
+      return event.action !== undefined &&
+        _.includes(_.castArray(transition.quickReply), event.action);
+    case 'location':
+      return transition.location === true;
+    case 'like':
+      return transition.like === true;
+    case 'attachment':
+      return _.includes(_.castArray(transition.attachment),
+        event.attachment.type);
+    case 'referral':
+      return transition.referral === true;
+  }
+  return false;
+}
+
+/*
+ * Build a conversation from a declarative definition:
+ *
+ *   {
+ *     name: 'ordering',           // names the session store
+ *     initial: 'idle',
+ *     ttl: 30 * 60 * 1000,        // session expiry in ms
+ *     escape: ['start over'],     // texts that reset from any other state
+ *     onEscape: function(context) {},
+ *     states: {
+ *       idle: { transitions: [...], fallback: function(context) {} },
+ *       ...
+ *     },
+ *     global: [...],              // transitions tried in every state
+ *     fallback: function(context) {}
+ *   }
+ *
+ * A transition is a matcher (see matches above) plus an optional
+ * `action(context)` and a target state `to`, either a name or a function of
+ * the context. An action can also return the name of the next state. Without
+ * either, the conversation stays where it is.
+ *
+ * The context handed to actions holds the senderID, the event, the current
+ * state, the session `data` (changes are saved), for postbacks and quick
+ * replies the payload's `args` and for pattern transitions the `match`.
+ *
+ */
+function createConversation(definition) {
+  var sessions = createStore('sessions-' + definition.name);
+  var ttl = definition.ttl || DEFAULT_TTL;
+
+  function load(senderID) {
+    var session = sessions.get(senderID);
+    if (!session || session.expires_at < Date.now()) {
+      return { state: definition.initial, data: {} };
+    }
+    return session;
+  }
+
+  function save(senderID, state, data) {
+    if (state === definition.initial && _.isEmpty(data)) {
+      sessions.remove(senderID);
+      return;
+    }
+    sessions.set(senderID, {
+      state: state,
+      data: data,
+      expires_at: Date.now() + ttl
+    });
+  }
+
+  function findTransition(state, event) {
+    var stateDefinition = definition.states[state] || {};
+    return _.find(stateDefinition.transitions || [], function(transition) {
+      return matches(transition, event);
+    }) || _.find(definition.global || [], function(transition) {
+      return matches(transition, event);
+    });
+  }
+
+  function isEscape(session, event) {
+    return event.type === 'text' && session.state !== definition.initial &&
+      _.includes(definition.escape, _.toLower(_.trim(event.text)));
+  }
+
+  /*
+   * Run an event through the conversation for a sender and return the state
+   * it ends up in.
+   *
+   */
+  function handle(senderID, event) {
+    var session = load(senderID);
+    var context = {
+      senderID: senderID,
+      event: event,
+      state: session.state,
+      data: session.data
+    };
+
+    if (isEscape(session, event)) {
+      save(senderID, definition.initial, {});
+      if (definition.onEscape) {
+        definition.onEscape(context);
+      }
+      return definition.initial;
+    }
+
+    var transition = findTransition(session.state, event);
+    var next;
+
+    if (transition) {
+      context.args = event.args;
+      if (_.isRegExp(transition.pattern) && event.type === 'text') {
+        context.match = transition.pattern.exec(_.trim(event.text));
+      }
+      next = transition.action ? transition.action(context) : undefined;
+      if (next === undefined) {
+        next = _.isFunction(transition.to) ? transition.to(context) :
+          transition.to;
+      }
+    } else {
+      var fallback = (definition.states[session.state] || {}).fallback ||
+        definition.fallback;
+      if (fallback) {
+        next = fallback(context);
+      }
+    }
+
+    if (next === undefined) {
+      next = session.state;
+    }
+    if (!definition.states[next]) {
+      throw new Error("Unknown conversation state " + next);
+    }
+
+    save(senderID, next, next === definition.initial ? {} : context.data);
+    return next;
+  }
+
+  /*
+   * Move a sender to a state outside of an incoming event, e.g. when we ask
+   * them something from a timer.
+   *
+   */
+  function setState(senderID, state, data) {
+    var session = load(senderID);
+    save(senderID, state, _.assign(session.data, data));
+  }
+
+  function getState(senderID) {
+    return load(senderID).state;
+  }
+
+  function getData(senderID) {
+    return load(senderID).data;
+  }
+
+  return {
+    handle: handle,
+    setState: setState,
+    getState: getState,
+    getData: getData
+  };
+}
+
+module.exports = createConversation;
@@ -0,0 +1,176 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  bodyParser = require('body-parser'),
+  express = require('express'),
+  auth = require('./auth'),
+  catalog = require('./catalog'),
+  handoff = require('./handoff'),
+  messageLog = require('./messagelog'),
+  orders = require('./orders'),
+  pricing = require('./pricing'),
+  uploads = require('./uploads'),
+  when = require('./when'),
+  _ = require('lodash');
+
+// How far the latest update about an order got with the customer
+const NOTICE_LABELS = {
+  sent: "Sent",
+  delivered: "Delivered",
+  read: "Seen"
+};
+
+// Dashboard buttons and the order status each one moves to
+const ACTIONS = {
+  accept: 'accepted',
+  reject: 'cancelled',
+  preparing: 'preparing',
+  ready: 'ready',
+  picked_up: 'picked_up'
+};
+
+// Uploads the browser shows, anything else is downloaded so that an HTML or
+// SVG file from a customer can't run scripts on the dashboard
+const INLINE_TYPES = ['image/jpeg', 'image/png', 'image/gif'];
+
+var router = express.Router();
+
+router.use(auth.requireAdmin);
+router.use(bodyParser.urlencoded({ extended: false }));
+
+// Every form on the dashboard posts the CSRF token along
+router.use(function(req, res, next) {
+  res.locals.csrfToken = auth.csrfToken();
+  next();
+});
+
+/*
+ * Restaurant staff pick their restaurant, then see its open orders with a
+ * button for every step the order can take next. Customers are messaged
+ * about each change through the order events handled in app.js.
+ *
+ */
+router.get('/', function(req, res) {
+  var restaurants = catalog.listRestaurants();
+  var restaurant = catalog.getRestaurant(req.query.restaurant) ||
+    restaurants[0];
+
+  res.render('dashboard', {
+    baseUrl: req.baseUrl,
+    restaurants: restaurants,
+    restaurant: restaurant,
+    waiting: handoff.activeHandoffs().length,
+    orders: restaurant ?
+      orders.restaurantOrders(restaurant.id, req.query.all === '1') : [],
+    showAll: req.query.all === '1',
+    actions: ACTIONS,
+    canMoveTo: orders.canMoveTo,
+    isFinal: orders.isFinal,
+    statusLabel: orders.statusLabel,
+    describeWhen: when.describeWhen,
+    formatMoney: pricing.formatMoney,
+    lastNotice: function(order) {
+      var latest = messageLog.orderMessages(order)[0];
+      return latest && {
+        text: latest.text,
+        label: NOTICE_LABELS[messageLog.messageStatus(latest)]
+      };
+    },
+    uploadUrl: function(id) {
+      var upload = uploads.getUpload(id);
+      if (!upload) {
+        return undefined;
+      }
+      return upload.status === 'stored' ?
+        req.baseUrl + '/uploads/' + encodeURIComponent(id) : upload.source_url;
+    },
+    error: req.query.error
+  });
+});
+
+/*
+ * Photos and files customers sent with their orders.
+ *
+ */
+router.get('/uploads/:id', function(req, res) {
+  var upload = uploads.getUpload(req.params.id);
+  var file = uploads.uploadPath(upload);
+
+  if (!file) {
+    res.status(404).send("Upload not found");
+    return;
+  }
+
+  res.set('X-Content-Type-Options', 'nosniff');
+  if (_.includes(INLINE_TYPES, _.toLower(upload.content_type))) {
+    res.type(upload.content_type);
+  } else {
+    res.attachment(upload.file);
+  }
+  res.sendFile(file);
+});
+
+router.post('/orders/:id/:action', auth.requireCsrfToken, function(req, res) {
+  var order = orders.getOrder(req.params.id);
+  var status = ACTIONS[req.params.action];
+  var result;
+
+  if (!order) {
+    res.status(404).send("Order not found");
+    return;
+  }
+
+  if (req.params.action === 'eta') {
+    result = orders.setEta(order.id, parseInt(req.body.minutes, 10));
+  } else if (status) {
+    result = orders.setStatus(order.id, status);
+  } else {
+    res.status(404).send("Unknown action");
+    return;
+  }
+
+  var query = '?restaurant=' + encodeURIComponent(order.restaurant_id);
+  if (result.error) {
+    query += '&error=' + encodeURIComponent(result.error);
+  }
+  res.redirect(req.baseUrl + '/' + query);
+});
+
+/*
+ * Conversations customers handed over to staff with "Talk to a human". The
+ * bot stays quiet while staff reply from here, until someone clicks Done,
+ * the customer types "done" or nobody writes for a while.
+ *
+ */
+router.get('/inbox', function(req, res) {
+  var open = handoff.activeHandoffs();
+
+  res.render('inbox', {
+    baseUrl: req.baseUrl,
+    handoffs: open,
+    current: _.find(open, { sender_id: req.query.sender }) || open[0],
+    timeoutMinutes: handoff.TIMEOUT_MINUTES,
+    error: req.query.error
+  });
+});
+
+router.post('/inbox/:sender/reply', auth.requireCsrfToken, function(req, res) {
+  var result = handoff.reply(req.params.sender, req.body.text);
+  var query = '?sender=' + encodeURIComponent(req.params.sender);
+
+  if (!result) {
+    query += '&error=' + encodeURIComponent("That conversation is back " +
+      "with the bot");
+  } else if (result.error) {
+    query += '&error=' + encodeURIComponent(result.error);
+  }
+  res.redirect(req.baseUrl + '/inbox' + query);
+});
+
+router.post('/inbox/:sender/done', auth.requireCsrfToken, function(req, res) {
+  handoff.end(req.params.sender, 'staff');
+  res.redirect(req.baseUrl + '/inbox');
+});
+
+module.exports = router;
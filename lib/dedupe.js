@@ -0,0 +1,59 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  createStore = require('./store');
+
+// Facebook redelivers webhook events for up to a day
+const DEFAULT_TTL = 24 * 60 * 60 * 1000;
+
+// Expired keys are cleared out every this many new keys
+const PRUNE_EVERY = 100;
+
+/*
+ * Remembers keys for `ttl` ms so work triggered by a redelivered event isn't
+ * done twice. Keys live in the 'seen-<name>' store and survive restarts.
+ *
+ */
+function createDeduplicator(name, ttl) {
+  var seen = createStore('seen-' + name);
+  var added = 0;
+  ttl = ttl || DEFAULT_TTL;
+
+  function prune(now) {
+    seen.keys().forEach(function(key) {
+      if (seen.get(key) < now) {
+        seen.remove(key);
+      }
+    });
+  }
+
+  /*
+   * Record a key. Returns true the first time it is seen within the TTL and
+   * false for repeats.
+   *
+   */
+  function first(key) {
+    var now = Date.now();
+    var expiresAt = seen.get(key);
+
+    if (expiresAt !== undefined && expiresAt >= now) {
+      return false;
+    }
+
+    added += 1;
+    if (added % PRUNE_EVERY === 0) {
+      prune(now);
+    }
+    seen.set(key, now + ttl);
+    return true;
+  }
+
+  prune(Date.now());
+
+  return {
+    first: first
+  };
+}
+
+module.exports = createDeduplicator;
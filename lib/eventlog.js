@@ -0,0 +1,113 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  fs = require('fs'),
+  path = require('path'),
+  _ = require('lodash');
+
+// Event log files live next to the stores, one JSON-lines file per day
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+function pad(number) {
+  return _.padStart(String(number), 2, '0');
+}
+
+/*
+ * The local calendar day of a time, as YYYY-MM-DD.
+ *
+ */
+function dayOf(time) {
+  var date = new Date(time);
+  return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' +
+    pad(date.getDate());
+}
+
+function fileFor(day) {
+  return path.join(DATA_DIR, 'events-' + day + '.jsonl');
+}
+
+/*
+ * Append an event to today's log, e.g. record('order', { sender, order }).
+ * Logging never gets in the way of answering users, so failures are only
+ * reported.
+ *
+ */
+function record(type, fields) {
+  var now = Date.now();
+  var event = _.assign({ type: type, at: now }, fields);
+
+  try {
+    try {
+      fs.mkdirSync(DATA_DIR);
+    } catch (e) {
+      if (e.code !== 'EEXIST') {
+        throw e;
+      }
+    }
+    fs.appendFileSync(fileFor(dayOf(now)), JSON.stringify(event) + "\n");
+  } catch (e) {
+    console.error("Failed to log %s event", type, e);
+  }
+  return event;
+}
+
+function readDay(day) {
+  var content;
+  try {
+    content = fs.readFileSync(fileFor(day), 'utf8');
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      console.error("Failed to read the event log of %s", day, e);
+    }
+    return [];
+  }
+
+  return _.compact(content.split("\n").map(function(line) {
+    try {
+      return line ? JSON.parse(line) : undefined;
+    } catch (e) {
+      // A line cut short by a crash
+      return undefined;
+    }
+  }));
+}
+
+/*
+ * The local days from one time to another, as YYYY-MM-DD.
+ *
+ */
+function daysBetween(from, to) {
+  var days = [];
+  var last = dayOf(to);
+  var date = new Date(from);
+
+  // Stepping from noon keeps daylight saving changes from skipping a day
+  date.setHours(12, 0, 0, 0);
+  while (dayOf(date.getTime()) <= last) {
+    days.push(dayOf(date.getTime()));
+    date.setDate(date.getDate() + 1);
+  }
+  return days;
+}
+
+/*
+ * Every event logged between two times (ms, inclusive), oldest first,
+ * optionally only those of some types.
+ *
+ */
+function between(from, to, types) {
+  var events = _.flatMap(daysBetween(from, to), readDay);
+
+  return _.filter(events, function(event) {
+    return event.at >= from && event.at <= to &&
+      (!types || _.includes(types, event.type));
+  });
+}
+
+module.exports = {
+  dayOf: dayOf,
+  daysBetween: daysBetween,
+  record: record,
+  between: between
+};
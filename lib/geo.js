@@ -0,0 +1,101 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  _ = require('lodash');
+
+const EARTH_RADIUS_KM = 6371;
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const HOURS_FORMAT = /^([01]\d|2[0-3]):([0-5]\d)-([01]\d|2[0-4]):([0-5]\d)$/;
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+/*
+ * Great-circle distance in kilometres between two { lat, long } points,
+ * using the haversine formula.
+ *
+ */
+function distanceKm(from, to) {
+  var dLat = toRadians(to.lat - from.lat);
+  var dLong = toRadians(to.long - from.long);
+  var a = Math.pow(Math.sin(dLat / 2), 2) +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) *
+    Math.pow(Math.sin(dLong / 2), 2);
+
+  return 2 * EARTH_RADIUS_KM * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function formatDistance(km) {
+  return km < 1 ? Math.round(km * 1000) + " m" : km.toFixed(1) + " km";
+}
+
+function isValidLocation(location) {
+  return _.isObject(location) &&
+    _.isFinite(location.lat) && location.lat >= -90 && location.lat <= 90 &&
+    _.isFinite(location.long) && location.long >= -180 && location.long <= 180;
+}
+
+/*
+ * Opening hours are { mon: "11:00-23:00", ... } in the server's local time
+ * (set TZ to the restaurants' time zone). Days that are missing are closed
+ * and a closing time before the opening time runs past midnight.
+ *
+ */
+function isValidHours(hours) {
+  return _.isPlainObject(hours) && _.every(hours, function(range, day) {
+    return _.includes(DAYS, day) && HOURS_FORMAT.test(range);
+  });
+}
+
+function minutes(time) {
+  var parts = time.split(':');
+  return parseInt(parts[0], 10) * 60 + parseInt(parts[1], 10);
+}
+
+function openOn(hours, day, minute, previousDay) {
+  var range = hours[DAYS[day]];
+  if (!range) {
+    return false;
+  }
+
+  var times = range.split('-');
+  var opens = minutes(times[0]);
+  var closes = minutes(times[1]);
+
+  if (previousDay) {
+    // Only the part of an overnight range that spills into today counts
+    return closes < opens && minute < closes;
+  }
+  return closes > opens ? minute >= opens && minute < closes :
+    minute >= opens;
+}
+
+/*
+ * Whether a restaurant with these opening hours is open at `date` (now by
+ * default). Restaurants without hours are treated as always open.
+ *
+ */
+function isOpen(hours, date) {
+  if (_.isEmpty(hours)) {
+    return true;
+  }
+
+  date = date || new Date();
+  var day = date.getDay();
+  var minute = date.getHours() * 60 + date.getMinutes();
+
+  return openOn(hours, day, minute, false) ||
+    openOn(hours, (day + 6) % 7, minute, true);
+}
+
+module.exports = {
+  distanceKm: distanceKm,
+  formatDistance: formatDistance,
+  isValidLocation: isValidLocation,
+  isValidHours: isValidHours,
+  isOpen: isOpen
+};
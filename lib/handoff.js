@@ -0,0 +1,161 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  EventEmitter = require('events'),
+  createStore = require('./store'),
+  _ = require('lodash');
+
+// A conversation goes back to the bot after this long without a message
+// from the customer or staff
+const TIMEOUT_MINUTES = parseFloat(process.env.HANDOFF_TIMEOUT_MINUTES) || 30;
+
+// Messages kept per handoff for the staff inbox
+const MAX_MESSAGES = 200;
+
+// Conversations staff have taken over, keyed by sender
+const handoffs = createStore('handoffs');
+
+// Emits 'start' (handoff) when a customer asks for a person, 'reply'
+// (handoff, text) when staff answer from the inbox and 'end' (handoff,
+// reason) when the bot takes over again. The reason is 'customer' or
+// 'staff' for whoever said they were done, or 'timeout'.
+const events = new EventEmitter();
+
+function isExpired(handoff, now) {
+  return now - handoff.updated_at > TIMEOUT_MINUTES * 60 * 1000;
+}
+
+function addMessage(handoff, message, now) {
+  handoff.messages = _.takeRight(handoff.messages.concat(
+    _.assign({ at: now }, message)), MAX_MESSAGES);
+  handoff.updated_at = now;
+  handoffs.set(handoff.sender_id, handoff);
+  return handoff;
+}
+
+/*
+ * Hand a sender's conversation over to staff. The bot stays quiet until the
+ * handoff ends. Starting again while handed off just returns the handoff.
+ *
+ */
+function start(senderID) {
+  var current = getHandoff(senderID);
+  if (current) {
+    return current;
+  }
+
+  var now = Date.now();
+  var handoff = {
+    sender_id: senderID,
+    started_at: now,
+    updated_at: now,
+    messages: []
+  };
+
+  handoffs.set(senderID, handoff);
+  events.emit('start', handoff);
+  return handoff;
+}
+
+/*
+ * The sender's handoff, or undefined when the bot is talking to them. A
+ * handoff that timed out ends here.
+ *
+ */
+function getHandoff(senderID) {
+  var handoff = handoffs.get(senderID);
+
+  if (handoff && isExpired(handoff, Date.now())) {
+    end(senderID, 'timeout');
+    return undefined;
+  }
+  return handoff;
+}
+
+function isActive(senderID) {
+  return !!getHandoff(senderID);
+}
+
+/*
+ * Keep something the customer sent for staff to read in the inbox:
+ * { text } or { attachment: { type, url } }.
+ *
+ */
+function customerMessage(senderID, message) {
+  var handoff = getHandoff(senderID);
+  return handoff && addMessage(handoff, _.assign({ from: 'customer' },
+    message), Date.now());
+}
+
+/*
+ * Answer a customer from the inbox. Returns { handoff }, { error } when the
+ * text is empty, or undefined when the conversation isn't handed off.
+ *
+ */
+function reply(senderID, text) {
+  var handoff = getHandoff(senderID);
+  if (!handoff) {
+    return undefined;
+  }
+
+  text = _.trim(text);
+  if (!text) {
+    return { error: "Type a reply first" };
+  }
+
+  addMessage(handoff, { from: 'staff', text: text }, Date.now());
+  events.emit('reply', handoff, text);
+  return { handoff: handoff };
+}
+
+/*
+ * Give the conversation back to the bot. Returns the handoff that ended, or
+ * undefined when there was none.
+ *
+ */
+function end(senderID, reason) {
+  var handoff = handoffs.get(senderID);
+  if (!handoff) {
+    return undefined;
+  }
+
+  handoffs.remove(senderID);
+  events.emit('end', handoff, reason);
+  return handoff;
+}
+
+/*
+ * End every handoff nobody has said anything in for TIMEOUT_MINUTES, so
+ * customers hear that the bot is back without having to write first.
+ *
+ */
+function expireHandoffs(now) {
+  _.forEach(handoffs.values(), function(handoff) {
+    if (isExpired(handoff, now)) {
+      end(handoff.sender_id, 'timeout');
+    }
+  });
+}
+
+/*
+ * Open handoffs for the inbox, the one waiting longest for staff first.
+ *
+ */
+function activeHandoffs() {
+  expireHandoffs(Date.now());
+  return _.sortBy(handoffs.values(), 'started_at');
+}
+
+module.exports = {
+  TIMEOUT_MINUTES: TIMEOUT_MINUTES,
+  events: events,
+  start: start,
+  getHandoff: getHandoff,
+  isActive: isActive,
+  customerMessage: customerMessage,
+  reply: reply,
+  end: end,
+  expireHandoffs: expireHandoffs,
+  activeHandoffs: activeHandoffs
+};
@@ -0,0 +1,62 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+/*
+ * An in-process job queue. Jobs are handed to `worker` one at a time, in the
+ * order they were pushed, after the current request has finished. A worker
+ * may return a promise to hold the next job until it settles. A job that
+ * throws or rejects is logged and skipped so it can't take the others down.
+ *
+ */
+function createJobQueue(name, worker) {
+  var jobs = [];
+  var running = false;
+
+  function finish(job, error) {
+    if (error) {
+      console.error("Job in queue %s failed", name, error.stack || error, job);
+    }
+    setImmediate(next);
+  }
+
+  function next() {
+    var job = jobs.shift();
+    if (job === undefined) {
+      running = false;
+      return;
+    }
+
+    var result;
+    try {
+      result = worker(job);
+    } catch (e) {
+      return finish(job, e);
+    }
+
+    if (result && typeof result.then === 'function') {
+      result.then(function() {
+        finish(job);
+      }, function(error) {
+        finish(job, error || new Error("rejected"));
+      });
+    } else {
+      finish(job);
+    }
+  }
+
+  return {
+    push: function(job) {
+      jobs.push(job);
+      if (!running) {
+        running = true;
+        setImmediate(next);
+      }
+    },
+
+    size: function() {
+      return jobs.length;
+    }
+  };
+}
+
+module.exports = createJobQueue;
@@ -0,0 +1,38 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  createStore = require('./store');
+
+// A shared location is only used for this long before we ask again
+const LOCATION_TTL = 6 * 60 * 60 * 1000;
+
+// Last location each sender shared, keyed by sender ID
+const locations = createStore('locations');
+
+function setLocation(senderID, coordinates) {
+  return locations.set(senderID, {
+    lat: coordinates.lat,
+    long: coordinates.long,
+    shared_at: Date.now()
+  });
+}
+
+/*
+ * The sender's last shared location, or undefined if they never shared one
+ * or it is too old to trust.
+ *
+ */
+function getLocation(senderID) {
+  var location = locations.get(senderID);
+  if (location && Date.now() - location.shared_at > LOCATION_TTL) {
+    locations.remove(senderID);
+    return undefined;
+  }
+  return location;
+}
+
+module.exports = {
+  setLocation: setLocation,
+  getLocation: getLocation
+};
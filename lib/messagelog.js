@@ -0,0 +1,167 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  createStore = require('./store'),
+  _ = require('lodash');
+
+// Messages kept per recipient, older ones are dropped
+const MAX_PER_RECIPIENT = 200;
+
+// We note the time a message was sent once the Send API answers, a little
+// after Facebook stamps it. Watermarks are compared with this much leeway.
+const CLOCK_SLACK_MS = 2000;
+
+// Messages we sent, keyed by recipient, oldest first
+const log = createStore('message-log');
+
+/*
+ * A short description of a message for the log: its text, the template
+ * type or the attachment type.
+ *
+ */
+function summarize(message) {
+  if (message.text) {
+    return message.text;
+  }
+  var attachment = message.attachment || {};
+  return _.get(attachment, 'payload.template_type', attachment.type) ||
+    "message";
+}
+
+/*
+ * The metadata sent with a message, parsed when it is JSON.
+ *
+ */
+function parseMetadata(metadata) {
+  try {
+    return JSON.parse(metadata);
+  } catch (e) {
+    return metadata;
+  }
+}
+
+/*
+ * Log a message we sent. `messageData` is the Send API request body and
+ * `response` the Send API's answer ({ recipient_id, message_id }).
+ *
+ */
+function recordSent(messageData, response) {
+  var recipientId = messageData.recipient.id;
+  var message = messageData.message;
+
+  if (!message || !response || !response.message_id) {
+    return undefined;
+  }
+
+  var entry = _.omitBy({
+    mid: response.message_id,
+    recipient_id: recipientId,
+    text: summarize(message),
+    metadata: message.metadata && parseMetadata(message.metadata),
+    sent_at: Date.now(),
+    delivered_at: undefined,
+    read_at: undefined
+  }, _.isUndefined);
+
+  log.set(recipientId, _.takeRight((log.get(recipientId) || []).concat(entry),
+    MAX_PER_RECIPIENT));
+  return entry;
+}
+
+/*
+ * Update the entries of a recipient that `matches` accepts, stamping
+ * `field` with `at` unless it was stamped before. Returns how many changed.
+ *
+ */
+function stamp(recipientId, field, at, matches) {
+  var entries = log.get(recipientId);
+  var changed = 0;
+
+  _.forEach(entries, function(entry) {
+    if (!entry[field] && matches(entry)) {
+      entry[field] = at;
+      changed += 1;
+    }
+  });
+
+  if (changed) {
+    log.set(recipientId, entries);
+  }
+  return changed;
+}
+
+/*
+ * A delivery event from the webhook: { mids, watermark }. Every message
+ * named in mids, and every message sent before the watermark, has reached
+ * the recipient's device.
+ *
+ */
+function markDelivered(recipientId, delivery, at) {
+  var mids = delivery.mids || [];
+  return stamp(recipientId, 'delivered_at', at || Date.now(),
+    function(entry) {
+      return _.includes(mids, entry.mid) ||
+        entry.sent_at <= delivery.watermark + CLOCK_SLACK_MS;
+    });
+}
+
+/*
+ * A read event from the webhook: { watermark }. The recipient has seen
+ * every message sent before the watermark, which implies they were
+ * delivered too.
+ *
+ */
+function markRead(recipientId, read, at) {
+  at = at || Date.now();
+  var before = function(entry) {
+    return entry.sent_at <= read.watermark + CLOCK_SLACK_MS;
+  };
+
+  stamp(recipientId, 'delivered_at', at, before);
+  return stamp(recipientId, 'read_at', at, before);
+}
+
+/*
+ * Where a logged message got to: 'read', 'delivered' or 'sent'.
+ *
+ */
+function messageStatus(entry) {
+  return entry.read_at ? 'read' : entry.delivered_at ? 'delivered' : 'sent';
+}
+
+/*
+ * Messages sent to a recipient, newest first.
+ *
+ */
+function recipientMessages(recipientId) {
+  return _.reverse((log.get(recipientId) || []).slice());
+}
+
+/*
+ * Messages about an order, i.e. sent with { order } metadata, newest first.
+ *
+ */
+function orderMessages(order) {
+  return _.filter(recipientMessages(order.sender_id), function(entry) {
+    return _.get(entry, 'metadata.order') === order.id;
+  });
+}
+
+/*
+ * Every logged message, for reporting.
+ *
+ */
+function allMessages() {
+  return _.flatten(log.values());
+}
+
+module.exports = {
+  recordSent: recordSent,
+  markDelivered: markDelivered,
+  markRead: markRead,
+  messageStatus: messageStatus,
+  recipientMessages: recipientMessages,
+  orderMessages: orderMessages,
+  allMessages: allMessages
+};
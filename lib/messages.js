@@ -0,0 +1,484 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  _ = require('lodash');
+
+// Platform limits of the Send API
+const LIMITS = {
+  text: 2000,
+  templateText: 640,
+  title: 80,
+  subtitle: 80,
+  buttonTitle: 20,
+  buttons: 3,
+  payload: 1000,
+  elements: 10,
+  listElements: { min: 2, max: 4 },
+  receiptElements: 100,
+  quickReplies: 11,
+  quickReplyTitle: 20,
+  metadata: 1000
+};
+
+const SENDER_ACTIONS = ['mark_seen', 'typing_on', 'typing_off'];
+
+const MEDIA_TYPES = ['image', 'audio', 'video', 'file'];
+
+/*
+ * Shorten display text to a limit, marking the cut with an ellipsis.
+ *
+ */
+function truncate(text, limit) {
+  return _.truncate(text, { length: limit, omission: '…' });
+}
+
+function requireText(value, what) {
+  if (!_.isString(value) || !value.length) {
+    throw new Error(what + " is required");
+  }
+}
+
+function checkLength(value, limit, what) {
+  if (value.length > limit) {
+    throw new Error(what + " is " + value.length + " characters long, " +
+      "the limit is " + limit);
+  }
+}
+
+function checkPayload(payload, what) {
+  requireText(payload, what + " payload");
+  checkLength(payload, LIMITS.payload, what + " payload");
+}
+
+function checkRecipient(recipientId) {
+  if (recipientId === undefined || recipientId === null || recipientId === '') {
+    throw new Error("A message needs a recipient");
+  }
+}
+
+/*
+ * Buttons, shared by the button, generic and list templates. Titles longer
+ * than the platform allows are shortened.
+ *
+ */
+const button = {
+  postback: function(title, payload) {
+    requireText(title, "Button title");
+    checkPayload(payload, "Button \"" + title + "\"");
+    return {
+      type: "postback",
+      title: truncate(title, LIMITS.buttonTitle),
+      payload: payload
+    };
+  },
+
+  url: function(title, url) {
+    requireText(title, "Button title");
+    requireText(url, "Button \"" + title + "\" url");
+    return {
+      type: "web_url",
+      url: url,
+      title: truncate(title, LIMITS.buttonTitle)
+    };
+  },
+
+  call: function(title, phoneNumber) {
+    requireText(title, "Button title");
+    if (!/^\+\d+$/.test(phoneNumber || '')) {
+      throw new Error("Button \"" + title + "\" needs a phone number in " +
+        "the format +<country code><number>");
+    }
+    return {
+      type: "phone_number",
+      title: truncate(title, LIMITS.buttonTitle),
+      payload: phoneNumber
+    };
+  },
+
+  accountLink: function(url) {
+    requireText(url, "Account link url");
+    return { type: "account_link", url: url };
+  }
+};
+
+/*
+ * Methods every message builder shares: quick replies below the message,
+ * metadata and build(). `finish()` returns the message bodies (several when
+ * a carousel has to be split).
+ *
+ */
+function messageBuilder(recipientId, finish) {
+  var quickReplies = [];
+  var metadata;
+  var builder = {};
+
+  checkRecipient(recipientId);
+
+  builder.quickReply = function(title, payload, imageUrl) {
+    requireText(title, "Quick reply title");
+    checkPayload(payload, "Quick reply \"" + title + "\"");
+    quickReplies.push(_.omitBy({
+      content_type: "text",
+      title: truncate(title, LIMITS.quickReplyTitle),
+      payload: payload,
+      image_url: imageUrl
+    }, _.isUndefined));
+    return builder;
+  };
+
+  builder.locationQuickReply = function() {
+    quickReplies.push({ content_type: "location" });
+    return builder;
+  };
+
+  // Comes back with the message's echo; objects are sent as JSON
+  builder.metadata = function(value) {
+    metadata = _.isString(value) ? value : JSON.stringify(value);
+    checkLength(metadata, LIMITS.metadata, "Message metadata");
+    return builder;
+  };
+
+  /*
+   * The Send API request bodies for this message, in the order to send
+   * them. Throws when the message breaks a platform limit.
+   *
+   */
+  builder.build = function() {
+    if (quickReplies.length > LIMITS.quickReplies) {
+      throw new Error("A message can have at most " + LIMITS.quickReplies +
+        " quick replies, got " + quickReplies.length);
+    }
+
+    var bodies = finish();
+    return bodies.map(function(message, index) {
+      // Quick replies belong under the last message only
+      if (quickReplies.length && index === bodies.length - 1) {
+        message = _.assign({}, message, { quick_replies: quickReplies });
+      }
+      if (metadata) {
+        message = _.assign({}, message, { metadata: metadata });
+      }
+      return { recipient: { id: recipientId }, message: message };
+    });
+  };
+
+  return builder;
+}
+
+function template(payload) {
+  return { attachment: { type: "template", payload: payload } };
+}
+
+/*
+ * A plain text message.
+ *
+ */
+function text(recipientId, messageText) {
+  return messageBuilder(recipientId, function() {
+    requireText(messageText, "Message text");
+    checkLength(messageText, LIMITS.text, "Message text");
+    return [{ text: messageText }];
+  });
+}
+
+/*
+ * The button template: text with up to three buttons under it.
+ *
+ */
+function buttons(recipientId, templateText) {
+  var list = [];
+  var builder = messageBuilder(recipientId, function() {
+    requireText(templateText, "Button template text");
+    checkLength(templateText, LIMITS.templateText, "Button template text");
+    if (!list.length || list.length > LIMITS.buttons) {
+      throw new Error("A button template needs 1 to " + LIMITS.buttons +
+        " buttons, got " + list.length);
+    }
+    return [template({
+      template_type: "button",
+      text: templateText,
+      buttons: list
+    })];
+  });
+
+  builder.button = function(added) {
+    list.push(added);
+    return builder;
+  };
+  builder.postback = function(title, payload) {
+    return builder.button(button.postback(title, payload));
+  };
+  builder.url = function(title, url) {
+    return builder.button(button.url(title, url));
+  };
+  builder.call = function(title, phoneNumber) {
+    return builder.button(button.call(title, phoneNumber));
+  };
+  builder.accountLink = function(url) {
+    return builder.button(button.accountLink(url));
+  };
+
+  return builder;
+}
+
+/*
+ * Shared by the generic and list templates: element() starts a new element
+ * ({ title, subtitle, image_url, item_url }) and the button methods add to
+ * the element last started.
+ *
+ */
+function elementBuilder(builder, elements, maxButtons) {
+  function current() {
+    if (!elements.length) {
+      throw new Error("Add an element before its buttons");
+    }
+    return _.last(elements);
+  }
+
+  builder.element = function(fields) {
+    requireText(fields.title, "Element title");
+    elements.push(_.omitBy({
+      title: truncate(fields.title, LIMITS.title),
+      subtitle: fields.subtitle && truncate(fields.subtitle, LIMITS.subtitle),
+      item_url: fields.item_url,
+      image_url: fields.image_url,
+      buttons: []
+    }, _.isUndefined));
+    return builder;
+  };
+
+  builder.button = function(added) {
+    var element = current();
+    if (element.buttons.length >= maxButtons) {
+      throw new Error("Element \"" + element.title + "\" can have at most " +
+        maxButtons + " button(s)");
+    }
+    element.buttons.push(added);
+    return builder;
+  };
+  builder.postback = function(title, payload) {
+    return builder.button(button.postback(title, payload));
+  };
+  builder.url = function(title, url) {
+    return builder.button(button.url(title, url));
+  };
+  builder.call = function(title, phoneNumber) {
+    return builder.button(button.call(title, phoneNumber));
+  };
+
+  return builder;
+}
+
+function withoutEmptyButtons(element) {
+  return element.buttons.length ? element : _.omit(element, 'buttons');
+}
+
+/*
+ * The generic template, a carousel of elements with up to three buttons
+ * each. Carousels longer than the platform allows are split over several
+ * messages, or cut short after truncate().
+ *
+ */
+function generic(recipientId) {
+  var elements = [];
+  var split = true;
+
+  var builder = messageBuilder(recipientId, function() {
+    if (!elements.length) {
+      throw new Error("A generic template needs at least one element");
+    }
+
+    var chunks = split ? _.chunk(elements, LIMITS.elements) :
+      [_.take(elements, LIMITS.elements)];
+    return chunks.map(function(chunk) {
+      return template({
+        template_type: "generic",
+        elements: chunk.map(withoutEmptyButtons)
+      });
+    });
+  });
+
+  builder.truncate = function() {
+    split = false;
+    return builder;
+  };
+
+  return elementBuilder(builder, elements, LIMITS.buttons);
+}
+
+/*
+ * The list template: 2 to 4 elements with one button each, plus an optional
+ * button for the whole list. The first element is shown large unless
+ * compact() is called.
+ *
+ */
+function list(recipientId) {
+  var elements = [];
+  var listButtons = [];
+  var style = "large";
+
+  var builder = messageBuilder(recipientId, function() {
+    var limits = LIMITS.listElements;
+    if (elements.length < limits.min || elements.length > limits.max) {
+      throw new Error("A list template needs " + limits.min + " to " +
+        limits.max + " elements, got " + elements.length);
+    }
+    if (style === "large" && !elements[0].image_url) {
+      throw new Error("The first element of a large list needs an image");
+    }
+
+    return [template(_.omitBy({
+      template_type: "list",
+      top_element_style: style,
+      elements: elements.map(withoutEmptyButtons),
+      buttons: listButtons.length ? listButtons : undefined
+    }, _.isUndefined))];
+  });
+
+  builder.compact = function() {
+    style = "compact";
+    return builder;
+  };
+
+  builder.listButton = function(added) {
+    if (listButtons.length) {
+      throw new Error("A list template can have only one list button");
+    }
+    listButtons.push(added);
+    return builder;
+  };
+
+  return elementBuilder(builder, elements, 1);
+}
+
+/*
+ * The receipt template. `fields` holds recipient_name, order_number,
+ * currency, payment_method and optionally timestamp, order_url and address;
+ * lines are added with element(), the totals with summary() and discounts
+ * with adjustment().
+ *
+ */
+function receipt(recipientId, fields) {
+  var elements = [];
+  var adjustments = [];
+  var summary;
+
+  var builder = messageBuilder(recipientId, function() {
+    ['recipient_name', 'order_number', 'payment_method'].forEach(
+      function(field) {
+        requireText(fields[field], "Receipt " + field);
+      });
+    if (!/^[A-Z]{3}$/.test(fields.currency || '')) {
+      throw new Error("Receipt currency must be an ISO 4217 code, got " +
+        fields.currency);
+    }
+    if (!summary || !_.isFinite(summary.total_cost)) {
+      throw new Error("A receipt needs a summary with a total_cost");
+    }
+    if (elements.length > LIMITS.receiptElements) {
+      throw new Error("A receipt can have at most " + LIMITS.receiptElements +
+        " elements, got " + elements.length);
+    }
+
+    return [template(_.omitBy({
+      template_type: "receipt",
+      recipient_name: fields.recipient_name,
+      order_number: fields.order_number,
+      currency: fields.currency,
+      payment_method: fields.payment_method,
+      order_url: fields.order_url,
+      timestamp: fields.timestamp,
+      elements: elements,
+      address: fields.address,
+      summary: summary,
+      adjustments: adjustments.length ? adjustments : undefined
+    }, _.isUndefined))];
+  });
+
+  // A line: { title, subtitle, quantity, price, currency, image_url }
+  builder.element = function(line) {
+    requireText(line.title, "Receipt element title");
+    if (!_.isFinite(line.price)) {
+      throw new Error("Receipt element \"" + line.title + "\" needs a price");
+    }
+    elements.push(_.omitBy(_.assign({}, line, {
+      title: truncate(line.title, LIMITS.title),
+      currency: line.currency || fields.currency
+    }), _.isUndefined));
+    return builder;
+  };
+
+  // { subtotal, shipping_cost, total_tax, total_cost }
+  builder.summary = function(totals) {
+    summary = _.omitBy(totals, _.isUndefined);
+    return builder;
+  };
+
+  builder.adjustment = function(name, amount) {
+    requireText(name, "Adjustment name");
+    if (!_.isFinite(amount)) {
+      throw new Error("Adjustment \"" + name + "\" needs an amount");
+    }
+    adjustments.push({ name: name, amount: amount });
+    return builder;
+  };
+
+  return builder;
+}
+
+/*
+ * An image, audio clip, video or file sent from a URL. Set `reusable` to get
+ * an attachment_id back from the Send API that can be sent again without
+ * uploading the file anew; `url` may also be { attachment_id } to do so.
+ *
+ */
+function media(recipientId, type, url, reusable) {
+  return messageBuilder(recipientId, function() {
+    if (!_.includes(MEDIA_TYPES, type)) {
+      throw new Error("Media type must be one of " + MEDIA_TYPES.join(", ") +
+        ", got " + type);
+    }
+
+    var payload;
+    if (_.isPlainObject(url)) {
+      requireText(url.attachment_id, "Media attachment_id");
+      payload = { attachment_id: url.attachment_id };
+    } else {
+      requireText(url, "Media url");
+      payload = _.omitBy({ url: url, is_reusable: reusable || undefined },
+        _.isUndefined);
+    }
+    return [{ attachment: { type: type, payload: payload } }];
+  });
+}
+
+/*
+ * A sender action: mark_seen, typing_on or typing_off. Quick replies don't
+ * apply.
+ *
+ */
+function action(recipientId, senderAction) {
+  checkRecipient(recipientId);
+  if (!_.includes(SENDER_ACTIONS, senderAction)) {
+    throw new Error("Unknown sender action " + senderAction);
+  }
+
+  return {
+    build: function() {
+      return [{ recipient: { id: recipientId }, sender_action: senderAction }];
+    }
+  };
+}
+
+module.exports = {
+  LIMITS: LIMITS,
+  button: button,
+  text: text,
+  buttons: buttons,
+  generic: generic,
+  list: list,
+  receipt: receipt,
+  media: media,
+  action: action
+};
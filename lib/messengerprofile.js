@@ -0,0 +1,242 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  request = require('request'),
+  createStore = require('./store'),
+  payloads = require('./payloads'),
+  definition = require('../config/messenger-profile.json'),
+  _ = require('lodash');
+
+// Base URL of the Graph API, see lib/send.js
+const GRAPH_API_URL = process.env.GRAPH_API_URL ||
+  'https://graph.facebook.com/v2.6';
+
+// The Messenger Profile properties kept in config/messenger-profile.json.
+// Anything else set on the page is left alone.
+const FIELDS = ['greeting', 'get_started', 'persistent_menu'];
+
+// Platform limits of the Messenger Profile API
+const LIMITS = {
+  greeting: 160,
+  menuItems: 3,
+  nestedItems: 5,
+  menuDepth: 3,
+  menuTitle: 30
+};
+
+const MENU_ITEM_TYPES = ['postback', 'web_url', 'nested'];
+
+function validateMenuItems(errors, items, where, depth) {
+  var limit = depth === 1 ? LIMITS.menuItems : LIMITS.nestedItems;
+
+  if (!_.isArray(items) || !items.length || items.length > limit) {
+    errors.push(where + " needs 1 to " + limit + " items");
+    return;
+  }
+  if (depth > LIMITS.menuDepth) {
+    errors.push(where + " is nested more than " + LIMITS.menuDepth +
+      " levels deep");
+    return;
+  }
+
+  items.forEach(function(item, index) {
+    var at = where + "[" + index + "]";
+
+    if (!_.includes(MENU_ITEM_TYPES, item.type)) {
+      errors.push(at + " type must be one of " + MENU_ITEM_TYPES.join(", "));
+    }
+    if (!_.isString(item.title) || !item.title.length ||
+        item.title.length > LIMITS.menuTitle) {
+      errors.push(at + " needs a title of at most " + LIMITS.menuTitle +
+        " characters");
+    }
+    if (item.type === 'postback' && !_.isString(item.action)) {
+      errors.push(at + " needs an action");
+    }
+    if (item.type === 'web_url' && !_.isString(item.url)) {
+      errors.push(at + " needs a url");
+    }
+    if (item.type === 'nested') {
+      validateMenuItems(errors, item.call_to_actions, at + ".call_to_actions",
+        depth + 1);
+    }
+  });
+}
+
+/*
+ * Check a profile definition like config/messenger-profile.json. Returns the
+ * problems found, empty when there are none.
+ *
+ */
+function validateProfile(source) {
+  var errors = [];
+
+  if (!_.isInteger(source.version)) {
+    errors.push("version must be a number, bump it with every change");
+  }
+  _.forEach(source.greeting, function(greeting, index) {
+    if (!_.isString(greeting.locale) || !_.isString(greeting.text) ||
+        greeting.text.length > LIMITS.greeting) {
+      errors.push("greeting[" + index + "] needs a locale and a text of at " +
+        "most " + LIMITS.greeting + " characters");
+    }
+  });
+  if (source.persistent_menu && !(source.get_started &&
+      _.isString(source.get_started.action))) {
+    errors.push("a persistent menu needs a get_started action");
+  }
+  _.forEach(source.persistent_menu, function(menu, index) {
+    validateMenuItems(errors, menu.call_to_actions,
+      "persistent_menu[" + index + "].call_to_actions", 1);
+  });
+
+  return errors;
+}
+
+function menuItem(item) {
+  switch (item.type) {
+    case 'postback':
+      return {
+        type: 'postback',
+        title: item.title,
+        payload: payloads.encode(item.action, item.args)
+      };
+    case 'nested':
+      return {
+        type: 'nested',
+        title: item.title,
+        call_to_actions: item.call_to_actions.map(menuItem)
+      };
+  }
+  return _.omit(item, ['action', 'args']);
+}
+
+/*
+ * The Messenger Profile API body for a profile definition, by default
+ * config/messenger-profile.json. Postbacks name an action (and optionally
+ * args) which are turned into signed payloads, see lib/payloads. Throws when
+ * the definition is invalid.
+ *
+ */
+function buildProfile(source) {
+  source = source || definition;
+
+  var errors = validateProfile(source);
+  if (errors.length) {
+    throw new Error("Invalid Messenger Profile: " + errors.join("; "));
+  }
+
+  return _.omitBy({
+    greeting: source.greeting,
+    get_started: source.get_started && {
+      payload: payloads.encode(source.get_started.action,
+        source.get_started.args)
+    },
+    persistent_menu: source.persistent_menu && source.persistent_menu.map(
+      function(menu) {
+        return _.assign({}, menu, {
+          call_to_actions: menu.call_to_actions.map(menuItem)
+        });
+      })
+  }, _.isUndefined);
+}
+
+/*
+ * Keeps the page's Messenger Profile (greeting, Get Started button and
+ * persistent menu) in line with config/messenger-profile.json. Syncing reads
+ * the profile first and only writes the properties that differ, so it is
+ * safe to run on every start.
+ *
+ * Options: accessToken and graphUrl, which defaults to GRAPH_API_URL.
+ *
+ */
+function createProfileSync(options) {
+  var profileUrl = (options.graphUrl || GRAPH_API_URL).replace(/\/$/, '') +
+    '/me/messenger_profile';
+  var syncs = createStore('messenger-profile');
+
+  function call(method, body, query) {
+    return new Promise(function(resolve, reject) {
+      request({
+        uri: profileUrl,
+        qs: _.assign({ access_token: options.accessToken }, query),
+        method: method,
+        json: body || true
+      }, function(error, response, responseBody) {
+        if (!error && response.statusCode == 200) {
+          resolve(responseBody);
+        } else {
+          var graphError = _.get(responseBody, 'error');
+          reject(new Error("Messenger Profile API call failed: " +
+            (error ? error.message : response.statusCode + " " +
+              (graphError ? graphError.message : response.statusMessage))));
+        }
+      });
+    });
+  }
+
+  /*
+   * The managed properties as the page has them now.
+   *
+   */
+  function fetch() {
+    return call('GET', undefined, { fields: FIELDS.join(',') })
+      .then(function(body) {
+        return _.pick(_.get(body, 'data[0]') || {}, FIELDS);
+      });
+  }
+
+  /*
+   * Bring the page in line with a profile definition, by default
+   * config/messenger-profile.json. Resolves with { version, changed,
+   * removed } listing the properties written and deleted, both empty when
+   * the page was already up to date.
+   *
+   */
+  function sync(source) {
+    source = source || definition;
+    var desired = buildProfile(source);
+
+    return fetch().then(function(current) {
+      var changed = _.pickBy(desired, function(value, field) {
+        return !_.isEqual(value, current[field]);
+      });
+      var removed = _.filter(FIELDS, function(field) {
+        return desired[field] === undefined && current[field] !== undefined;
+      });
+
+      var written = _.isEmpty(changed) ? Promise.resolve() :
+        call('POST', changed);
+      return written.then(function() {
+        return removed.length ? call('DELETE', { fields: removed }) : null;
+      }).then(function() {
+        var result = {
+          version: source.version,
+          changed: _.keys(changed),
+          removed: removed
+        };
+        if (result.changed.length || removed.length) {
+          syncs.set('last', _.assign({ synced_at: Date.now() }, result));
+        }
+        return result;
+      });
+    });
+  }
+
+  return {
+    fetch: fetch,
+    sync: sync,
+    lastSync: function() {
+      return syncs.get('last');
+    }
+  };
+}
+
+module.exports = {
+  FIELDS: FIELDS,
+  LIMITS: LIMITS,
+  validateProfile: validateProfile,
+  buildProfile: buildProfile,
+  createProfileSync: createProfileSync
+};
@@ -0,0 +1,368 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  fs = require('fs'),
+  path = require('path'),
+  catalog = require('./catalog'),
+  when = require('./when'),
+  _ = require('lodash');
+
+// Utterances the default classifier is trained on. Point NLU_UTTERANCES at
+// another file to retrain without touching the code.
+const UTTERANCES_FILE = process.env.NLU_UTTERANCES ||
+  path.join(__dirname, '..', 'config', 'utterances.json');
+
+// Below this confidence a message is treated as not understood
+const CONFIDENCE_THRESHOLD =
+  parseFloat(process.env.NLU_CONFIDENCE_THRESHOLD) || 0.5;
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7,
+  eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, couple: 2
+};
+
+// Additive smoothing for words an intent has never been trained on. Kept
+// small because each intent only has a handful of utterances.
+const SMOOTHING = 0.1;
+
+// Words too common to say anything about the intent on their own
+const STOP_WORDS = ['a', 'an', 'the', 'i', 'im', 'am', 'to', 'is', 'it', 'of',
+  'and', 'had', 'have', 'was', 'this', 'that'];
+
+// An amount of money, e.g. "$6", "6.50" or "10 bucks"
+const AMOUNT = '\\$?\\s*(\\d+(?:\\.\\d{1,2})?)(?:\\s*(?:dollars|bucks))?';
+
+const PRICE_RANGE = new RegExp('\\bbetween\\s*' + AMOUNT +
+  '\\s*(?:and|-|to)\\s*' + AMOUNT, 'i');
+
+const PRICE_CEILING = new RegExp('\\b(?:under|below|less than|cheaper than|' +
+  'max(?:imum)?|up to|at most)\\s*' + AMOUNT, 'i');
+
+const OPEN_NOW = /\b(?:open (?:right )?now|still open)\b/i;
+
+const PRICE_FLOOR = new RegExp('\\b(?:over|above|more than|at least)\\s*' +
+  AMOUNT, 'i');
+
+/*
+ * Lower-case a message and split it into word tokens. Possessives are glued
+ * to their word ("William's" -> "williams") and other punctuation splits
+ * words ("Mac'n'Cheese" -> "mac n cheese").
+ *
+ */
+function tokenize(text) {
+  return _.words(_.toLower(text)
+    .replace(/['’]s\b/g, 's')
+    .replace(/[^a-z0-9{}_$.]+/g, ' ')
+    .replace(/\.(?!\d)/g, ' '), /[^\s]+/g);
+}
+
+/*
+ * Crude plural folding so "pizzas" matches "pizza".
+ *
+ */
+function singular(token) {
+  return token.length > 3 && _.endsWith(token, 's') && !_.endsWith(token, 'ss') ?
+    token.slice(0, -1) : token;
+}
+
+function sameTokens(a, b) {
+  return a === b || singular(a) === singular(b);
+}
+
+/*
+ * Naive Bayes over word tokens, the default classifier. Any object with the
+ * same train(examples) / classify(tokens) interface can be plugged in with
+ * setClassifier().
+ *
+ */
+function createNaiveBayes() {
+  var intents = {};
+  var vocabulary = {};
+  var totalExamples = 0;
+
+  return {
+    train: function(examples) {
+      intents = {};
+      vocabulary = {};
+      totalExamples = examples.length;
+
+      examples.forEach(function(example) {
+        var intent = intents[example.intent] = intents[example.intent] || {
+          examples: 0,
+          tokens: 0,
+          counts: {}
+        };
+
+        intent.examples += 1;
+        example.tokens.forEach(function(token) {
+          token = singular(token);
+          intent.counts[token] = (intent.counts[token] || 0) + 1;
+          intent.tokens += 1;
+          vocabulary[token] = true;
+        });
+      });
+    },
+
+    // Returns every intent with its posterior probability, best first
+    classify: function(tokens) {
+      var vocabularySize = _.size(vocabulary);
+      var known = _.filter(_.map(tokens, singular), function(token) {
+        return vocabulary[token] && !_.includes(STOP_WORDS, token);
+      });
+
+      if (!known.length) {
+        return [];
+      }
+
+      var scores = _.map(intents, function(intent, name) {
+        var logProbability = Math.log(intent.examples / totalExamples);
+        known.forEach(function(token) {
+          logProbability += Math.log(
+            ((intent.counts[token] || 0) + SMOOTHING) /
+            (intent.tokens + SMOOTHING * vocabularySize));
+        });
+        return { intent: name, score: logProbability };
+      });
+
+      // Normalise the log scores into probabilities
+      var best = _.maxBy(scores, 'score').score;
+      var total = _.sumBy(scores, function(s) {
+        return Math.exp(s.score - best);
+      });
+
+      return _.orderBy(scores.map(function(s) {
+        return {
+          intent: s.intent,
+          confidence: Math.exp(s.score - best) / total
+        };
+      }), 'confidence', 'desc');
+    }
+  };
+}
+
+var classifier = createNaiveBayes();
+var cuisines = {};
+var dietary = {};
+
+/*
+ * Train the classifier from an utterance file (or an already parsed object
+ * of the same shape). Entity slots in utterances are written as {dish},
+ * {restaurant}, {cuisine}, {dietary}, {number} and {price}.
+ *
+ */
+function train(utterances) {
+  if (!utterances || _.isString(utterances)) {
+    utterances = JSON.parse(fs.readFileSync(utterances || UTTERANCES_FILE,
+      'utf8'));
+  }
+
+  cuisines = _.mapValues(utterances.cuisines || {}, function(phrases) {
+    return phrases.map(tokenize);
+  });
+  dietary = _.mapValues(utterances.dietary || {}, function(phrases) {
+    return phrases.map(tokenize);
+  });
+
+  var examples = [];
+  _.forEach(utterances.intents, function(phrases, intent) {
+    phrases.forEach(function(phrase) {
+      examples.push({ intent: intent, tokens: tokenize(phrase) });
+    });
+  });
+  classifier.train(examples);
+}
+
+function setClassifier(replacement) {
+  classifier = replacement;
+  train();
+}
+
+/*
+ * Find the longest unclaimed run of tokens matching one of the candidates.
+ * Matching tokens are replaced by `slot` so the classifier sees "{dish}"
+ * instead of the dish's name.
+ *
+ */
+function extract(tokens, candidates, slot) {
+  var found = [];
+  var sorted = _.orderBy(candidates, function(candidate) {
+    return candidate.tokens.length;
+  }, 'desc');
+
+  sorted.forEach(function(candidate) {
+    var length = candidate.tokens.length;
+
+    _.range(0, length ? tokens.length - length + 1 : 0).forEach(function(i) {
+      var window = tokens.slice(i, i + length);
+      var matches = _.every(window, function(token, j) {
+        return token.slot === undefined &&
+          sameTokens(token.text, candidate.tokens[j]);
+      });
+
+      if (matches) {
+        window.forEach(function(token) {
+          token.slot = slot;
+        });
+        window[0].start = true;
+        found.push({ value: candidate.value, index: i });
+      }
+    });
+  });
+
+  return _.map(_.sortBy(found, 'index'), 'value');
+}
+
+function restaurantCandidates() {
+  return catalog.listRestaurants(true).map(function(restaurant) {
+    return {
+      tokens: tokenize(restaurant.title),
+      value: { id: restaurant.id, title: restaurant.title }
+    };
+  });
+}
+
+function dishCandidates() {
+  return _.flatMap(catalog.listRestaurants(true), function(restaurant) {
+    return _.filter(restaurant.items, 'available').map(function(item) {
+      return {
+        tokens: tokenize(item.title),
+        value: {
+          restaurant_id: restaurant.id,
+          item_id: item.id,
+          title: item.title
+        }
+      };
+    });
+  });
+}
+
+/*
+ * Candidates for a lexicon of { tag: [phrases] } such as the cuisines and
+ * dietary tags in the utterance file.
+ *
+ */
+function tagCandidates(lexicon) {
+  return _.flatMap(lexicon, function(phrases, tag) {
+    return phrases.map(function(tokens) {
+      return { tokens: tokens, value: tag };
+    });
+  });
+}
+
+/*
+ * Quantity written just before a dish ("two cheese pizzas", "3 curry
+ * ramen"), defaulting to one.
+ *
+ */
+function quantityBefore(tokens, index) {
+  var previous = tokens[index - 1];
+  if (!previous || previous.slot !== undefined) {
+    return 1;
+  }
+
+  var quantity = /^\d+$/.test(previous.text) ? parseInt(previous.text, 10) :
+    NUMBER_WORDS[previous.text];
+  if (quantity) {
+    previous.slot = '{number}';
+    previous.start = true;
+  }
+  return quantity || 1;
+}
+
+/*
+ * Work out what a message is asking for. Returns
+ * { intent, confidence, entities } where intent is 'none' when the
+ * classifier isn't confident enough. Entities may hold restaurants, dishes
+ * (with their quantity), cuisines, dietary tags, a minPrice / maxPrice,
+ * openNow and a time (ms) something is wanted for, see lib/when.
+ *
+ */
+function parse(text) {
+  var entities = {};
+  var match;
+
+  text = text || '';
+  if ((match = PRICE_RANGE.exec(text))) {
+    entities.minPrice = parseFloat(match[1]);
+    entities.maxPrice = parseFloat(match[2]);
+    text = text.replace(match[0], ' {price} ');
+  }
+  if ((match = PRICE_CEILING.exec(text))) {
+    entities.maxPrice = parseFloat(match[1]);
+    text = text.replace(match[0], ' {price} ');
+  }
+  if ((match = PRICE_FLOOR.exec(text))) {
+    entities.minPrice = parseFloat(match[1]);
+    text = text.replace(match[0], ' {price} ');
+  }
+
+  if (OPEN_NOW.test(text)) {
+    entities.openNow = true;
+  }
+
+  var time = when.parseWhen(text);
+  if (time) {
+    entities.time = time.at;
+    time.matches.forEach(function(matched, index) {
+      text = text.replace(matched, index ? ' ' : ' {time} ');
+    });
+  }
+
+  var tokens = tokenize(text).map(function(token) {
+    return token === '{price}' || token === '{time}' ?
+      { text: token, slot: token, start: true } : { text: token };
+  });
+
+  entities.restaurants = extract(tokens, restaurantCandidates(), '{restaurant}');
+
+  // Remember where each dish starts to pick up its quantity
+  var dishStarts = [];
+  var dishes = extract(tokens, dishCandidates(), '{dish}');
+  tokens.forEach(function(token, index) {
+    if (token.slot === '{dish}' && token.start) {
+      dishStarts.push(index);
+    }
+  });
+  entities.dishes = dishes.map(function(dish, i) {
+    return _.assign({ quantity: quantityBefore(tokens, dishStarts[i]) }, dish);
+  });
+
+  entities.dietary = _.uniq(extract(tokens, tagCandidates(dietary),
+    '{dietary}'));
+  entities.cuisines = _.uniq(extract(tokens, tagCandidates(cuisines),
+    '{cuisine}'));
+
+  // Collapse every entity to its slot name for the classifier
+  var classifierTokens = _.flatMap(tokens, function(token) {
+    if (token.slot === undefined) {
+      return tokenize(token.text);
+    }
+    return token.start ? tokenize(token.slot) : [];
+  });
+
+  var best = classifier.classify(classifierTokens)[0];
+  if (!best || best.confidence < CONFIDENCE_THRESHOLD) {
+    return {
+      intent: 'none',
+      confidence: best ? best.confidence : 0,
+      entities: entities
+    };
+  }
+
+  return {
+    intent: best.intent,
+    confidence: best.confidence,
+    entities: entities
+  };
+}
+
+train();
+
+module.exports = {
+  parse: parse,
+  train: train,
+  setClassifier: setClassifier,
+  createNaiveBayes: createNaiveBayes,
+  tokenize: tokenize
+};
@@ -0,0 +1,289 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  EventEmitter = require('events'),
+  createStore = require('./store'),
+  catalog = require('./catalog'),
+  pricing = require('./pricing'),
+  _ = require('lodash');
+
+// Every status an order can be in, and the statuses it may move to next.
+// Picked up and cancelled orders are final.
+const TRANSITIONS = {
+  placed: ['accepted', 'cancelled'],
+  accepted: ['preparing', 'ready', 'cancelled'],
+  preparing: ['ready', 'cancelled'],
+  ready: ['picked_up'],
+  picked_up: [],
+  cancelled: []
+};
+
+const STATUS_LABELS = {
+  placed: "Placed",
+  accepted: "Accepted",
+  preparing: "Preparing",
+  ready: "Ready for pickup",
+  picked_up: "Picked up",
+  cancelled: "Cancelled"
+};
+
+// Orders keyed by order number
+const orders = createStore('orders');
+
+// Emits 'status' (order, previousStatus) whenever an order moves along its
+// lifecycle and 'eta' (order, minutes) when the restaurant gives a pickup
+// estimate.
+const events = new EventEmitter();
+
+var lastSequence = _.max(_.map(orders.values(), 'sequence')) || 0;
+
+function formatOrderNumber(sequence) {
+  return "order" + _.padStart(String(sequence), 6, '0');
+}
+
+/*
+ * Price lines from a restaurant for a sender (see pricing.quote). `details`
+ * holds the fulfilment and an optional promo_code; promo codes the sender
+ * already redeemed on an earlier order count as used.
+ *
+ */
+function quoteOrder(senderID, restaurantID, lines, details) {
+  var usedCodes = _.compact(_.map(_.reject(senderOrders(senderID),
+    { status: 'cancelled' }), 'promo_code'));
+
+  return pricing.quote(catalog.getRestaurant(restaurantID) ||
+    { id: restaurantID, title: "this restaurant" }, lines, {
+      fulfilment: (details && details.fulfilment) || 'pickup',
+      promo_code: details && details.promo_code,
+      used_codes: usedCodes
+    });
+}
+
+/*
+ * Record a new order at a restaurant for the given cart lines. `details`
+ * says how it is fulfilled: { fulfilment: 'pickup' } or
+ * { fulfilment: 'delivery', delivery_address }, plus an optional
+ * promo_code, special instructions (see addInstruction) and the time a
+ * scheduled order is for, scheduled_for. Order numbers
+ * are sequential so they never collide.
+ *
+ */
+function createOrder(senderID, restaurantID, lines, details) {
+  var now = Date.now();
+  var quote = quoteOrder(senderID, restaurantID, lines, details);
+
+  lastSequence += 1;
+
+  var order = {
+    id: formatOrderNumber(lastSequence),
+    sequence: lastSequence,
+    sender_id: senderID,
+    restaurant_id: restaurantID,
+    items: _.cloneDeep(lines),
+    fulfilment: (details && details.fulfilment) || 'pickup',
+    delivery_address: details && details.delivery_address,
+    currency: quote.currency,
+    subtotal: quote.subtotal,
+    discounts: quote.discounts,
+    promo_code: quote.promo_code,
+    delivery_fee: quote.delivery_fee,
+    tax_rate: quote.tax_rate,
+    tax: quote.tax,
+    total: quote.total,
+    instructions: _.cloneDeep((details && details.instructions) || []),
+    scheduled_for: details && details.scheduled_for,
+    status: 'placed',
+    created_at: now,
+    updated_at: now,
+    history: [{ status: 'placed', at: now }]
+  };
+
+  orders.set(order.id, order);
+  return order;
+}
+
+function getOrder(id) {
+  return orders.get(id);
+}
+
+/*
+ * Every order of a sender, newest first.
+ *
+ */
+function senderOrders(senderID) {
+  return _.orderBy(_.filter(orders.values(), { sender_id: senderID }),
+    'sequence', 'desc');
+}
+
+/*
+ * Most recent orders of a sender, newest first.
+ *
+ */
+function recentOrders(senderID, limit) {
+  return _.take(senderOrders(senderID), limit || 5);
+}
+
+/*
+ * The dishes a sender orders most, from their orders that weren't
+ * cancelled: [{ restaurant_id, item_id, title, orders, quantity,
+ * last_ordered_at }], most often ordered first.
+ *
+ */
+function favoriteItems(senderID, limit) {
+  var lines = _.flatMap(_.reject(senderOrders(senderID),
+    { status: 'cancelled' }), function(order) {
+      return order.items.map(function(line) {
+        return _.assign({ ordered_at: order.created_at }, line, {
+          restaurant_id: line.restaurant_id || order.restaurant_id
+        });
+      });
+    });
+
+  var favorites = _.map(_.groupBy(lines, function(line) {
+    return line.restaurant_id + '/' + line.item_id;
+  }), function(group) {
+    return {
+      restaurant_id: group[0].restaurant_id,
+      item_id: group[0].item_id,
+      title: group[0].title,
+      orders: group.length,
+      quantity: _.sumBy(group, 'quantity'),
+      last_ordered_at: _.max(_.map(group, 'ordered_at'))
+    };
+  });
+
+  return _.take(_.orderBy(favorites, ['orders', 'quantity', 'last_ordered_at'],
+    ['desc', 'desc', 'desc']), limit || 10);
+}
+
+/*
+ * Orders placed at a restaurant, newest first. Finished orders are left out
+ * unless `includeFinal` is set.
+ *
+ */
+function restaurantOrders(restaurantID, includeFinal) {
+  return _.orderBy(_.filter(orders.values(), function(order) {
+    return order.restaurant_id === restaurantID &&
+      (includeFinal || !isFinal(order));
+  }), 'sequence', 'desc');
+}
+
+/*
+ * Orders placed between two times (ms, inclusive), oldest first.
+ *
+ */
+function ordersBetween(from, to) {
+  return _.sortBy(_.filter(orders.values(), function(order) {
+    return order.created_at >= from && order.created_at <= to;
+  }), 'sequence');
+}
+
+/*
+ * Move an order along its lifecycle. Returns { order } with the updated
+ * order, { error } when the transition isn't allowed, or undefined when no
+ * order has that number.
+ *
+ */
+function setStatus(id, status) {
+  var order = orders.get(id);
+  if (!order) {
+    return undefined;
+  }
+
+  if (!canMoveTo(order, status)) {
+    return {
+      error: "Cannot move order " + id + " from " + order.status + " to " +
+        status
+    };
+  }
+
+  var now = Date.now();
+  var previous = order.status;
+  order.status = status;
+  order.updated_at = now;
+  order.history.push({ status: status, at: now });
+  orders.set(id, order);
+
+  events.emit('status', order, previous);
+  return { order: order };
+}
+
+/*
+ * Record how many minutes until an order is ready for pickup.
+ *
+ */
+function setEta(id, minutes) {
+  var order = orders.get(id);
+  if (!order) {
+    return undefined;
+  }
+
+  if (isFinal(order)) {
+    return { error: "Order " + id + " is already " + order.status };
+  }
+  if (!_.isInteger(minutes) || minutes <= 0) {
+    return { error: "ETA must be a positive number of minutes" };
+  }
+
+  order.eta = Date.now() + minutes * 60 * 1000;
+  order.updated_at = Date.now();
+  orders.set(id, order);
+
+  events.emit('eta', order, minutes);
+  return { order: order };
+}
+
+/*
+ * Attach special instructions to an order the restaurant hasn't finished,
+ * e.g. { type: 'image', upload } for a photo the customer sent (see
+ * lib/uploads).
+ *
+ */
+function addInstruction(id, instruction) {
+  var order = orders.get(id);
+  if (!order) {
+    return undefined;
+  }
+
+  if (isFinal(order)) {
+    return { error: "Order " + id + " is already " + order.status };
+  }
+
+  order.instructions = (order.instructions || []).concat(
+    _.assign({ added_at: Date.now() }, instruction));
+  order.updated_at = Date.now();
+  orders.set(id, order);
+  return { order: order };
+}
+
+function canMoveTo(order, status) {
+  return _.includes(TRANSITIONS[order.status], status);
+}
+
+function isFinal(order) {
+  return TRANSITIONS[order.status].length === 0;
+}
+
+function statusLabel(order) {
+  return STATUS_LABELS[order.status];
+}
+
+module.exports = {
+  STATUSES: Object.keys(TRANSITIONS),
+  events: events,
+  quoteOrder: quoteOrder,
+  createOrder: createOrder,
+  getOrder: getOrder,
+  senderOrders: senderOrders,
+  recentOrders: recentOrders,
+  restaurantOrders: restaurantOrders,
+  favoriteItems: favoriteItems,
+  ordersBetween: ordersBetween,
+  setStatus: setStatus,
+  setEta: setEta,
+  addInstruction: addInstruction,
+  canMoveTo: canMoveTo,
+  isFinal: isFinal,
+  statusLabel: statusLabel
+};
@@ -0,0 +1,84 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  crypto = require('crypto'),
+  buffer = require('./buffer'),
+  _ = require('lodash');
+
+// Version of the payload format, bumped when its layout changes so old
+// buttons are recognised instead of misread
+const VERSION = 'v1';
+
+// Key signing payloads. Defaults to the app secret.
+const SECRET = process.env.PAYLOAD_SECRET || process.env.MESSENGER_APP_SECRET;
+
+// Length of the signature kept in a payload, out of a base64 sha256 HMAC
+const SIGNATURE_LENGTH = 22;
+
+function base64url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+function sign(body) {
+  return base64url(crypto.createHmac('sha256', SECRET).update(body).digest())
+    .substring(0, SIGNATURE_LENGTH);
+}
+
+/*
+ * Encode a postback or quick reply payload for an action, e.g.
+ * encode('item', { restaurant: 'campus_pizza', item: 'cheese_pizza' }).
+ * Payloads read "v1:<action>:<arguments as base64url JSON>:<signature>".
+ * Arguments should be ids, never prices or anything else we'd trust.
+ *
+ */
+function encode(action, args) {
+  if (!/^[a-z_.]+$/.test(action)) {
+    throw new Error("Invalid payload action " + action);
+  }
+
+  var body = VERSION + ':' + action + ':' +
+    base64url(buffer.fromString(JSON.stringify(args || {}), 'utf8'));
+  return body + ':' + sign(body);
+}
+
+/*
+ * Check and decode a payload made by encode(). Returns { action, args }, or
+ * undefined when the payload isn't ours, is from another version or was
+ * tampered with.
+ *
+ */
+function decode(payload) {
+  var parts = _.split(payload, ':');
+  if (parts.length !== 4 || parts[0] !== VERSION) {
+    return undefined;
+  }
+
+  var body = parts.slice(0, 3).join(':');
+  var expected = sign(body);
+  var signature = parts[3];
+
+  // Compare digests so the check doesn't leak how much of it matched
+  var digest = function(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  };
+  if (digest(signature) !== digest(expected)) {
+    console.warn("Rejected payload with a bad signature: %s", payload);
+    return undefined;
+  }
+
+  try {
+    var args = JSON.parse(buffer.fromString(parts[2], 'base64')
+      .toString('utf8'));
+    return { action: parts[1], args: args };
+  } catch (e) {
+    console.warn("Rejected malformed payload: %s", payload);
+    return undefined;
+  }
+}
+
+module.exports = {
+  encode: encode,
+  decode: decode
+};
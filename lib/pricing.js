@@ -0,0 +1,186 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  config = require('../config/pricing.json'),
+  _ = require('lodash');
+
+// Pricing fields a restaurant may set to override the defaults
+const SETTINGS = ['currency', 'region', 'delivery_fee', 'delivery_minimum',
+  'free_delivery_over'];
+
+/*
+ * The pricing settings of a restaurant: its own `pricing` on top of the
+ * defaults in config/pricing.json.
+ *
+ */
+function settings(restaurant) {
+  return _.assign({}, config.defaults,
+    _.pick((restaurant && restaurant.pricing) || {}, SETTINGS));
+}
+
+// Amounts without a currency, such as orders placed before it was recorded,
+// are in the default one
+function currencyInfo(currency) {
+  return config.currencies[currency || config.defaults.currency] ||
+    { symbol: currency + ' ', decimals: 2 };
+}
+
+/*
+ * Round an amount to the smallest unit of its currency, e.g. cents for CAD
+ * and whole yen for JPY.
+ *
+ */
+function round(amount, currency) {
+  return _.round(amount, currencyInfo(currency).decimals);
+}
+
+function formatMoney(amount, currency) {
+  var info = currencyInfo(currency);
+  return info.symbol + amount.toFixed(info.decimals);
+}
+
+function taxRate(region) {
+  return config.tax_rates[region] || 0;
+}
+
+/*
+ * Look up a promo code, ignoring case. Expired codes aren't found.
+ *
+ */
+function findCoupon(code, now) {
+  var key = _.toUpper(_.trim(code));
+  var coupon = config.coupons[key];
+
+  if (!coupon || (coupon.expires && Date.parse(coupon.expires) <
+      (now || Date.now()))) {
+    return undefined;
+  }
+  return _.assign({ code: key }, coupon);
+}
+
+/*
+ * Why a coupon can't be used on an order, or undefined when it can.
+ *
+ */
+function couponProblem(coupon, restaurant, subtotal, options, currency) {
+  if (coupon.restaurants && !_.includes(coupon.restaurants, restaurant.id)) {
+    return coupon.code + " can't be used at " + restaurant.title;
+  }
+  if (coupon.minimum && subtotal < coupon.minimum) {
+    return coupon.code + " needs an order of at least " +
+      formatMoney(coupon.minimum, currency);
+  }
+  if (coupon.once_per_customer &&
+      _.includes(options.used_codes, coupon.code)) {
+    return "You've already used " + coupon.code;
+  }
+  if (coupon.free_delivery && options.fulfilment !== 'delivery') {
+    return coupon.code + " only applies to delivery";
+  }
+  return undefined;
+}
+
+/*
+ * Whether a restaurant's `pricing` override is well formed.
+ *
+ */
+function isValidPricing(pricing) {
+  if (!_.isPlainObject(pricing) || _.difference(_.keys(pricing),
+      SETTINGS).length) {
+    return false;
+  }
+  if (pricing.currency !== undefined && !config.currencies[pricing.currency]) {
+    return false;
+  }
+  if (pricing.region !== undefined &&
+      !_.has(config.tax_rates, pricing.region)) {
+    return false;
+  }
+  return _.every(['delivery_fee', 'delivery_minimum', 'free_delivery_over'],
+    function(field) {
+      return pricing[field] === undefined ||
+        (_.isFinite(pricing[field]) && pricing[field] >= 0);
+    });
+}
+
+/*
+ * Work out what an order at a restaurant costs. `options` holds the
+ * fulfilment ('pickup' or 'delivery'), an optional promo_code and the
+ * used_codes the customer has redeemed before. Returns
+ *
+ *   { currency, subtotal, discounts: [{ name, amount }], delivery_fee,
+ *     tax_rate, tax, total, promo_code, errors, notes }
+ *
+ * where promo_code is only set when the code was applied, errors say why
+ * the order can't be placed as is (e.g. under the delivery minimum) and
+ * notes why a promo code didn't apply.
+ *
+ */
+function quote(restaurant, lines, options) {
+  options = options || {};
+  var rules = settings(restaurant);
+  var currency = rules.currency;
+  var delivery = options.fulfilment === 'delivery';
+  var result = {
+    currency: currency,
+    subtotal: round(_.sumBy(lines, function(line) {
+      return line.price * line.quantity;
+    }), currency),
+    discounts: [],
+    delivery_fee: 0,
+    tax_rate: taxRate(rules.region),
+    errors: [],
+    notes: []
+  };
+
+  if (delivery) {
+    if (result.subtotal < rules.delivery_minimum) {
+      result.errors.push("Delivery from " + restaurant.title + " needs an " +
+        "order of at least " + formatMoney(rules.delivery_minimum, currency));
+    }
+    result.delivery_fee = rules.free_delivery_over !== undefined &&
+      result.subtotal >= rules.free_delivery_over ? 0 : rules.delivery_fee;
+  }
+
+  if (options.promo_code) {
+    var coupon = findCoupon(options.promo_code);
+    var problem = coupon ? couponProblem(coupon, restaurant, result.subtotal,
+      options, currency) : options.promo_code + " isn't a valid promo code";
+
+    if (problem) {
+      result.notes.push(problem);
+    } else {
+      var amount = 0;
+      if (coupon.percent_off) {
+        amount = result.subtotal * coupon.percent_off / 100;
+      } else if (coupon.amount_off) {
+        amount = Math.min(coupon.amount_off, result.subtotal);
+      } else if (coupon.free_delivery) {
+        amount = result.delivery_fee;
+      }
+
+      result.promo_code = coupon.code;
+      result.discounts.push({
+        name: coupon.description || coupon.code,
+        amount: round(amount, currency)
+      });
+    }
+  }
+
+  var taxable = result.subtotal + result.delivery_fee -
+    _.sumBy(result.discounts, 'amount');
+  result.tax = round(taxable * result.tax_rate, currency);
+  result.total = round(taxable + result.tax, currency);
+  return result;
+}
+
+module.exports = {
+  settings: settings,
+  round: round,
+  formatMoney: formatMoney,
+  taxRate: taxRate,
+  findCoupon: findCoupon,
+  isValidPricing: isValidPricing,
+  quote: quote
+};
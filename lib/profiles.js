@@ -0,0 +1,111 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  crypto = require('crypto'),
+  createStore = require('./store'),
+  _ = require('lodash');
+
+// How long an authorization code handed out on the login page stays valid.
+// Messenger sends the account_linking callback right after the redirect.
+const CODE_TTL = 10 * 60 * 1000;
+
+// Linked profiles keyed by sender ID
+const profiles = createStore('profiles');
+
+// Profiles entered on the login page, keyed by authorization code, waiting
+// for Messenger to tell us which sender they belong to.
+var pending = {};
+
+function expirePending() {
+  var now = Date.now();
+  _.forEach(_.keys(pending), function(code) {
+    if (pending[code].expires_at < now) {
+      delete pending[code];
+    }
+  });
+}
+
+/*
+ * Check the details entered on the login page. Returns a list of error
+ * messages, empty when the profile is valid.
+ *
+ */
+function validateProfile(profile) {
+  var errors = [];
+
+  if (!_.trim(profile.name)) {
+    errors.push("Name is required");
+  }
+  if (!_.trim(profile.street_1) || !_.trim(profile.city) ||
+      !_.trim(profile.postal_code) || !_.trim(profile.country)) {
+    errors.push("Street, city, postal code and country are required");
+  }
+  if (!_.trim(profile.payment_method)) {
+    errors.push("Payment nickname is required");
+  }
+
+  return errors;
+}
+
+/*
+ * Hold on to a profile entered on the login page and return the
+ * authorization code Messenger will pass back in the account_linking event.
+ *
+ */
+function createAuthorizationCode(profile) {
+  expirePending();
+
+  var code = crypto.randomBytes(16).toString('hex');
+  pending[code] = {
+    profile: {
+      name: _.trim(profile.name),
+      address: {
+        street_1: _.trim(profile.street_1),
+        street_2: _.trim(profile.street_2),
+        city: _.trim(profile.city),
+        postal_code: _.trim(profile.postal_code),
+        state: _.trim(profile.state),
+        country: _.trim(profile.country)
+      },
+      payment_method: _.trim(profile.payment_method)
+    },
+    expires_at: Date.now() + CODE_TTL
+  };
+  return code;
+}
+
+/*
+ * Attach the profile behind an authorization code to a sender. Returns the
+ * linked profile, or undefined if the code is unknown or has expired.
+ *
+ */
+function link(senderID, code) {
+  expirePending();
+
+  var entry = pending[code];
+  if (!entry) {
+    return undefined;
+  }
+  delete pending[code];
+
+  var profile = _.assign({ linked_at: Date.now() }, entry.profile);
+  profiles.set(senderID, profile);
+  return profile;
+}
+
+function unlink(senderID) {
+  profiles.remove(senderID);
+}
+
+function getProfile(senderID) {
+  return profiles.get(senderID);
+}
+
+module.exports = {
+  validateProfile: validateProfile,
+  createAuthorizationCode: createAuthorizationCode,
+  link: link,
+  unlink: unlink,
+  getProfile: getProfile
+};
@@ -0,0 +1,94 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  createStore = require('./store'),
+  _ = require('lodash');
+
+// Ratings keyed by order number
+const ratings = createStore('ratings');
+
+/*
+ * Record a 1-5 rating for an order. Each order can only be rated once.
+ * Returns the stored rating, or undefined if the score is invalid or the
+ * order was already rated.
+ *
+ */
+function rateOrder(order, score) {
+  if (!_.includes([1, 2, 3, 4, 5], score) || ratings.get(order.id)) {
+    return undefined;
+  }
+
+  var rating = {
+    order_id: order.id,
+    sender_id: order.sender_id,
+    restaurant_id: order.restaurant_id,
+    item_ids: _.map(order.items, 'item_id'),
+    score: score,
+    comment: null,
+    created_at: Date.now()
+  };
+
+  ratings.set(order.id, rating);
+  return rating;
+}
+
+function addComment(orderId, comment) {
+  var rating = ratings.get(orderId);
+
+  if (rating) {
+    rating.comment = comment;
+    ratings.set(orderId, rating);
+  }
+  return rating;
+}
+
+function getRating(orderId) {
+  return ratings.get(orderId);
+}
+
+function summarize(list) {
+  return {
+    average: _.round(_.meanBy(list, 'score'), 1),
+    count: list.length
+  };
+}
+
+/*
+ * Average score and number of ratings per restaurant, keyed by restaurant ID.
+ *
+ */
+function restaurantAverages() {
+  return _.mapValues(_.groupBy(ratings.values(), 'restaurant_id'), summarize);
+}
+
+/*
+ * Average score and number of ratings per dish, keyed by restaurant ID and
+ * then item ID, so dishes keep their ratings when renamed. A rating counts
+ * towards every dish in the order.
+ *
+ */
+function dishAverages() {
+  var byDish = {};
+
+  ratings.values().forEach(function(rating) {
+    var dishes = byDish[rating.restaurant_id] =
+      byDish[rating.restaurant_id] || {};
+
+    _.uniq(rating.item_ids).forEach(function(itemId) {
+      dishes[itemId] = (dishes[itemId] || []).concat(rating);
+    });
+  });
+
+  return _.mapValues(byDish, function(dishes) {
+    return _.mapValues(dishes, summarize);
+  });
+}
+
+module.exports = {
+  rateOrder: rateOrder,
+  addComment: addComment,
+  getRating: getRating,
+  restaurantAverages: restaurantAverages,
+  dishAverages: dishAverages
+};
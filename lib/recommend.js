@@ -0,0 +1,165 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  catalog = require('./catalog'),
+  geo = require('./geo'),
+  locations = require('./locations'),
+  orders = require('./orders'),
+  ratings = require('./ratings'),
+  _ = require('lodash');
+
+/*
+ * Whether a query narrows things down to individual dishes. Cuisine alone
+ * is answered with restaurants; dietary tags or prices need dishes.
+ *
+ */
+function wantsDishes(query) {
+  return !_.isEmpty(query.dietary) || query.minPrice !== undefined ||
+    query.maxPrice !== undefined;
+}
+
+/*
+ * How often the sender ordered from each restaurant and each dish, used to
+ * rank their favourites first.
+ *
+ */
+function orderCounts(senderID) {
+  var counts = { restaurants: {}, dishes: {} };
+
+  orders.senderOrders(senderID).forEach(function(order) {
+    var restaurantId = order.restaurant_id;
+    counts.restaurants[restaurantId] =
+      (counts.restaurants[restaurantId] || 0) + 1;
+
+    order.items.forEach(function(line) {
+      var key = restaurantId + '/' + line.item_id;
+      counts.dishes[key] = (counts.dishes[key] || 0) + line.quantity;
+    });
+  });
+
+  return counts;
+}
+
+function matchesCuisines(query, cuisines) {
+  return _.isEmpty(query.cuisines) ||
+    !_.isEmpty(_.intersection(query.cuisines, cuisines));
+}
+
+/*
+ * Where a restaurant stands right now for the sender: whether it's open and,
+ * once they've shared their location, how far away it is.
+ *
+ */
+function situate(restaurant, location) {
+  var result = {
+    restaurant: restaurant,
+    open: geo.isOpen(restaurant.hours)
+  };
+
+  if (location && restaurant.location) {
+    result.distance = geo.distanceKm(location, restaurant.location);
+  }
+  return result;
+}
+
+function matchesOpen(query, result) {
+  return !query.openNow || result.open;
+}
+
+function rankRestaurants(query, counts, location) {
+  var averages = ratings.restaurantAverages();
+
+  var matching = _.filter(catalog.listRestaurants(true), function(restaurant) {
+    return matchesCuisines(query, restaurant.cuisines);
+  }).map(function(restaurant) {
+    return situate(restaurant, location);
+  }).filter(function(result) {
+    return matchesOpen(query, result);
+  });
+
+  // Open places first. With a location, the nearest come first; otherwise
+  // the sender's usual spots and the best rated ones.
+  return _.orderBy(matching, [
+    'open',
+    function(result) {
+      return _.isUndefined(result.distance) ? Infinity : result.distance;
+    },
+    function(result) {
+      return counts.restaurants[result.restaurant.id] || 0;
+    },
+    function(result) {
+      var average = averages[result.restaurant.id];
+      return average ? average.average : 0;
+    }
+  ], ['desc', 'asc', 'desc', 'desc']);
+}
+
+function rankDishes(query, counts, location) {
+  var averages = ratings.dishAverages();
+  var dishes = [];
+
+  catalog.listRestaurants(true).forEach(function(restaurant) {
+    var situation = situate(restaurant, location);
+    if (!matchesOpen(query, situation)) {
+      return;
+    }
+
+    _.filter(restaurant.items, 'available').forEach(function(item) {
+      if (matchesCuisines(query, catalog.itemCuisines(restaurant, item)) &&
+          _.difference(query.dietary, item.dietary || []).length === 0 &&
+          (query.minPrice === undefined || item.price >= query.minPrice) &&
+          (query.maxPrice === undefined || item.price <= query.maxPrice)) {
+        dishes.push(_.assign({ item: item }, situation));
+      }
+    });
+  });
+
+  return _.orderBy(dishes, [
+    'open',
+    function(dish) {
+      return counts.dishes[dish.restaurant.id + '/' + dish.item.id] || 0;
+    },
+    function(dish) {
+      return counts.restaurants[dish.restaurant.id] || 0;
+    },
+    function(dish) {
+      var average = _.get(averages, [dish.restaurant.id, dish.item.id]);
+      return average ? average.average : 0;
+    },
+    function(dish) {
+      return _.isUndefined(dish.distance) ? Infinity : dish.distance;
+    },
+    function(dish) {
+      return dish.item.price;
+    }
+  ], ['desc', 'desc', 'desc', 'desc', 'asc', 'asc']);
+}
+
+/*
+ * Find what to suggest for a query of the form
+ * { cuisines, dietary, minPrice, maxPrice, openNow }. Open places come
+ * first, then restaurants by distance from the sender's shared location and
+ * dishes by the sender's previous orders, ratings and distance. Returns
+ * { type: 'restaurants' | 'dishes', results } where every result holds the
+ * restaurant, the item for dishes, whether it's open and its distance in km
+ * when known.
+ *
+ */
+function recommend(senderID, query) {
+  var counts = orderCounts(senderID);
+  var location = locations.getLocation(senderID);
+  query = _.assign({ cuisines: [], dietary: [] }, query);
+
+  if (wantsDishes(query)) {
+    return { type: 'dishes', results: rankDishes(query, counts, location) };
+  }
+  return {
+    type: 'restaurants',
+    results: rankRestaurants(query, counts, location)
+  };
+}
+
+module.exports = {
+  recommend: recommend
+};
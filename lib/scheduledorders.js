@@ -0,0 +1,116 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  createStore = require('./store'),
+  _ = require('lodash');
+
+// Minutes before the time an order is for that it goes to the restaurant
+const LEAD_MINUTES = parseFloat(process.env.SCHEDULE_LEAD_MINUTES) || 30;
+
+// Minutes before going to the restaurant that the customer is asked to
+// confirm it
+const CONFIRM_MINUTES = parseFloat(process.env.SCHEDULE_CONFIRM_MINUTES) ||
+  15;
+
+// How far ahead orders can be scheduled
+const MAX_DAYS_AHEAD = 7;
+
+// A scheduled order waits, is sent for confirmation and, once confirmed,
+// waits for its submission time to be placed. It can be cancelled by the
+// customer until then, and expires when it wasn't confirmed in time.
+const PENDING = ['scheduled', 'confirming', 'confirmed'];
+
+// Scheduled orders keyed by id
+const scheduled = createStore('scheduled-orders');
+
+var lastSequence = 0;
+
+/*
+ * Why an order can't be scheduled for a time, or undefined when it can.
+ *
+ */
+function scheduleProblem(at, now) {
+  now = now || Date.now();
+  if (at - LEAD_MINUTES * 60 * 1000 <= now) {
+    return "We need at least " + LEAD_MINUTES + " minutes to schedule an " +
+      "order";
+  }
+  if (at > now + MAX_DAYS_AHEAD * 24 * 60 * 60 * 1000) {
+    return "Orders can be scheduled up to " + MAX_DAYS_AHEAD + " days ahead";
+  }
+  return undefined;
+}
+
+/*
+ * Keep a sender's cart lines and checkout details to place them as an order
+ * later. The order is for `details.scheduled_for` and goes to the
+ * restaurant LEAD_MINUTES before, once the customer confirmed it.
+ *
+ */
+function createScheduledOrder(senderID, lines, details) {
+  var now = Date.now();
+  var submitAt = details.scheduled_for - LEAD_MINUTES * 60 * 1000;
+  lastSequence += 1;
+
+  var order = {
+    id: 's' + now.toString(36) + lastSequence.toString(36),
+    sender_id: senderID,
+    lines: _.cloneDeep(lines),
+    details: _.cloneDeep(details),
+    scheduled_for: details.scheduled_for,
+    confirm_at: submitAt - CONFIRM_MINUTES * 60 * 1000,
+    submit_at: submitAt,
+    status: 'scheduled',
+    created_at: now,
+    updated_at: now
+  };
+
+  scheduled.set(order.id, order);
+  return order;
+}
+
+function getScheduledOrder(id) {
+  return scheduled.get(id);
+}
+
+function isPending(order) {
+  return _.includes(PENDING, order.status);
+}
+
+/*
+ * Move a scheduled order on, with `fields` such as the order_ids it was
+ * placed as. Orders that are no longer pending stay as they are; returns the
+ * order when it changed.
+ *
+ */
+function setScheduledStatus(id, status, fields) {
+  var order = scheduled.get(id);
+  if (!order || !isPending(order)) {
+    return undefined;
+  }
+
+  _.assign(order, fields, { status: status, updated_at: Date.now() });
+  scheduled.set(id, order);
+  return order;
+}
+
+/*
+ * A sender's scheduled orders still waiting to be placed, soonest first.
+ *
+ */
+function pendingScheduledOrders(senderID) {
+  return _.sortBy(_.filter(scheduled.values(), function(order) {
+    return order.sender_id === senderID && isPending(order);
+  }), 'scheduled_for');
+}
+
+module.exports = {
+  LEAD_MINUTES: LEAD_MINUTES,
+  scheduleProblem: scheduleProblem,
+  createScheduledOrder: createScheduledOrder,
+  getScheduledOrder: getScheduledOrder,
+  isPending: isPending,
+  setScheduledStatus: setScheduledStatus,
+  pendingScheduledOrders: pendingScheduledOrders
+};
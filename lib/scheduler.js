@@ -0,0 +1,150 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  createStore = require('./store'),
+  _ = require('lodash');
+
+// setTimeout can't wait longer than this, later jobs are re-armed
+const MAX_DELAY_MS = 0x7fffffff;
+
+// Every scheduler created, see runDueJobs
+const schedulers = [];
+
+/*
+ * An in-process scheduler whose pending jobs are kept in the store `name`,
+ * so they survive restarts. A job is { id, type, run_at, data }; when it is
+ * due, the handler registered for its type gets (data, job). Jobs that fell
+ * due while the app was down run as soon as their handler is registered.
+ *
+ * A job is removed before its handler runs, so it runs at most once. A
+ * handler that throws or rejects is logged and the job is dropped.
+ *
+ */
+function createScheduler(name) {
+  var jobs = createStore(name);
+  var handlers = {};
+  var timers = {};
+  var lastSequence = 0;
+
+  function run(job) {
+    delete timers[job.id];
+    jobs.remove(job.id);
+
+    var fail = function(error) {
+      console.error("Scheduled %s job %s failed", job.type, job.id,
+        error.stack || error);
+    };
+
+    try {
+      var result = handlers[job.type](job.data, job);
+      if (result && typeof result.then === 'function') {
+        result.then(null, fail);
+      }
+    } catch (e) {
+      fail(e);
+    }
+  }
+
+  function arm(job) {
+    var delay = Math.max(0, job.run_at - Date.now());
+
+    timers[job.id] = setTimeout(function() {
+      if (delay > MAX_DELAY_MS) {
+        arm(job);
+      } else {
+        run(job);
+      }
+    }, Math.min(delay, MAX_DELAY_MS));
+    timers[job.id].unref();
+  }
+
+  var scheduler = {
+    /*
+     * Register what to do with jobs of a type, and start waiting for the
+     * ones already pending.
+     *
+     */
+    handle: function(type, handler) {
+      handlers[type] = handler;
+      _.forEach(_.filter(jobs.values(), { type: type }), function(job) {
+        if (!timers[job.id]) {
+          arm(job);
+        }
+      });
+    },
+
+    /*
+     * Run a job of `type` with `data` at a time (ms). Returns the job.
+     *
+     */
+    schedule: function(type, runAt, data) {
+      var now = Date.now();
+      lastSequence += 1;
+
+      var job = {
+        id: now.toString(36) + lastSequence.toString(36),
+        type: type,
+        run_at: runAt,
+        data: data,
+        created_at: now
+      };
+
+      jobs.set(job.id, job);
+      if (handlers[type]) {
+        arm(job);
+      }
+      return job;
+    },
+
+    /*
+     * Drop a job before it runs. Returns whether it was still pending.
+     *
+     */
+    cancel: function(id) {
+      clearTimeout(timers[id]);
+      delete timers[id];
+
+      var pending = !!jobs.get(id);
+      jobs.remove(id);
+      return pending;
+    },
+
+    pending: function() {
+      return _.sortBy(jobs.values(), 'run_at');
+    },
+
+    /*
+     * Run the jobs that are due by now without waiting for their timers.
+     * Timers count from when they were set, so jobs would run late after the
+     * clock jumped ahead, e.g. when the machine woke from sleep.
+     *
+     */
+    runDue: function() {
+      var now = Date.now();
+
+      _.forEach(scheduler.pending(), function(job) {
+        if (job.run_at <= now && handlers[job.type] && jobs.get(job.id)) {
+          clearTimeout(timers[job.id]);
+          run(job);
+        }
+      });
+    }
+  };
+
+  schedulers.push(scheduler);
+  return scheduler;
+}
+
+/*
+ * Run the due jobs of every scheduler, see runDue.
+ *
+ */
+function runDueJobs() {
+  schedulers.forEach(function(scheduler) {
+    scheduler.runDue();
+  });
+}
+
+module.exports = createScheduler;
+module.exports.runDueJobs = runDueJobs;
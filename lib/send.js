@@ -0,0 +1,174 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  request = require('request'),
+  createStore = require('./store'),
+  _ = require('lodash');
+
+// Base URL of the Graph API. Point GRAPH_API_URL at a local stand-in such as
+// test/support/graph.js to run the bot offline.
+const GRAPH_API_URL = process.env.GRAPH_API_URL ||
+  'https://graph.facebook.com/v2.6';
+
+// Messages per second sent across all recipients. The Send API throttles
+// pages that go much faster.
+const RATE_LIMIT = parseFloat(process.env.SEND_RATE_LIMIT) || 10;
+
+// Attempts per message before it goes to the dead-letter log
+const MAX_ATTEMPTS = parseInt(process.env.SEND_MAX_ATTEMPTS, 10) || 5;
+
+// Delay before the first retry, doubled on each one after that
+const RETRY_DELAY_MS = parseInt(process.env.SEND_RETRY_DELAY_MS, 10) || 500;
+
+// Graph API error codes worth retrying: temporary outages and rate limits
+const TRANSIENT_CODES = [1, 2, 4, 17, 32, 613, 1200];
+
+/*
+ * Whether a failed call may succeed if we try again: network errors, server
+ * errors, HTTP 429 and the Graph API's own temporary and rate-limit codes.
+ *
+ */
+function isTransient(failure) {
+  if (failure.error) {
+    return true;
+  }
+
+  var status = failure.statusCode;
+  var graphError = _.get(failure.body, 'error') || {};
+  return status >= 500 || status === 429 || graphError.is_transient === true ||
+    _.includes(TRANSIENT_CODES, graphError.code);
+}
+
+function describe(failure) {
+  if (failure.error) {
+    return failure.error.message;
+  }
+  var graphError = _.get(failure.body, 'error');
+  return failure.statusCode + " " +
+    (graphError ? graphError.message : failure.statusMessage);
+}
+
+function delay(ms) {
+  return new Promise(function(resolve) {
+    setTimeout(resolve, ms);
+  });
+}
+
+/*
+ * Queue in front of the Send API. Messages to the same recipient go out one
+ * at a time in the order they were queued, so a receipt never overtakes the
+ * text announcing it. Transient failures are retried with exponential
+ * backoff; messages that still fail are kept in the 'dead-letters' store.
+ * Every send, retries included, waits for a slot under the rate limit.
+ *
+ * Options: accessToken, graphUrl, rateLimit (messages per second),
+ * maxAttempts and retryDelay (ms). They default to GRAPH_API_URL,
+ * SEND_RATE_LIMIT, SEND_MAX_ATTEMPTS and SEND_RETRY_DELAY_MS.
+ *
+ */
+function createSendQueue(options) {
+  var sendApiUrl = (options.graphUrl || GRAPH_API_URL).replace(/\/$/, '') +
+    '/me/messages';
+  var rateLimit = options.rateLimit || RATE_LIMIT;
+  var maxAttempts = options.maxAttempts || MAX_ATTEMPTS;
+  var retryDelay = options.retryDelay || RETRY_DELAY_MS;
+  var deadLetters = createStore('dead-letters');
+
+  // Tail of the queue for each recipient
+  var queues = {};
+  var nextSlot = 0;
+  var deadLetterSequence = 0;
+
+  // Resolves when the next send fits under the rate limit
+  function waitForSlot() {
+    var now = Date.now();
+    var slot = Math.max(now, nextSlot);
+    nextSlot = slot + 1000 / rateLimit;
+    return delay(slot - now);
+  }
+
+  function post(messageData) {
+    return new Promise(function(resolve, reject) {
+      request({
+        uri: sendApiUrl,
+        qs: { access_token: options.accessToken },
+        method: 'POST',
+        json: messageData
+      }, function(error, response, body) {
+        if (!error && response.statusCode == 200) {
+          resolve(body);
+        } else {
+          reject({
+            error: error,
+            statusCode: response && response.statusCode,
+            statusMessage: response && response.statusMessage,
+            body: body
+          });
+        }
+      });
+    });
+  }
+
+  function deadLetter(messageData, failure, attempts) {
+    deadLetterSequence += 1;
+    deadLetters.set(Date.now() + '-' + deadLetterSequence, {
+      message: messageData,
+      error: describe(failure),
+      status_code: failure.statusCode,
+      graph_error: _.get(failure.body, 'error'),
+      attempts: attempts,
+      failed_at: Date.now()
+    });
+  }
+
+  function attempt(messageData, number) {
+    return waitForSlot().then(function() {
+      return post(messageData);
+    }).catch(function(failure) {
+      if (number < maxAttempts && isTransient(failure)) {
+        var wait = retryDelay * Math.pow(2, number - 1);
+        console.warn("Send API call failed (%s), retrying in %d ms",
+          describe(failure), wait);
+        return delay(wait).then(function() {
+          return attempt(messageData, number + 1);
+        });
+      }
+
+      console.error("Failed calling Send API after %d attempt(s): %s",
+        number, describe(failure));
+      deadLetter(messageData, failure, number);
+      throw new Error("Send API call failed: " + describe(failure));
+    });
+  }
+
+  /*
+   * Queue a message for its recipient. Returns a promise for the Send API's
+   * response body ({ recipient_id, message_id }), rejected once the message
+   * has been given up on.
+   *
+   */
+  function send(messageData) {
+    var key = JSON.stringify(messageData.recipient);
+    var previous = queues[key] || Promise.resolve();
+
+    var sent = previous.then(function() {
+      return attempt(messageData, 1);
+    });
+
+    // A failed message must not hold up the ones queued behind it
+    var tail = queues[key] = sent.catch(_.noop).then(function() {
+      if (queues[key] === tail) {
+        delete queues[key];
+      }
+    });
+
+    return sent;
+  }
+
+  return {
+    send: send
+  };
+}
+
+module.exports = createSendQueue;
@@ -0,0 +1,132 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  crypto = require('crypto'),
+  _ = require('lodash');
+
+// Signature headers we understand, strongest first
+const SIGNATURE_HEADERS = [
+  { header: 'x-hub-signature-256', algorithm: 'sha256' },
+  { header: 'x-hub-signature', algorithm: 'sha1' }
+];
+
+// Events older than this many seconds are refused as replays
+const MAX_EVENT_AGE = parseInt(process.env.WEBHOOK_MAX_EVENT_AGE, 10) || 15 * 60;
+
+/*
+ * Compare two strings without leaking where they differ or how long they
+ * are: their digests are compared, in constant time where Node has
+ * crypto.timingSafeEqual.
+ *
+ */
+function safeEqual(a, b) {
+  var digest = function(value) {
+    return crypto.createHash('sha256').update(value, 'utf8').digest();
+  };
+  var left = digest(a);
+  var right = digest(b);
+
+  if (crypto.timingSafeEqual) {
+    return crypto.timingSafeEqual(left, right);
+  }
+  return left.toString('hex') === right.toString('hex');
+}
+
+/*
+ * body-parser verify hook keeping the raw body of webhook calls, which the
+ * signature is computed over. Other JSON requests (the admin API) are
+ * authenticated differently and pass straight through.
+ *
+ */
+function captureRawBody(req, res, buf) {
+  if (req.path === '/webhook') {
+    req.rawBody = buf;
+  }
+}
+
+/*
+ * Check the signature headers against the raw body. Returns an error message,
+ * or undefined when a signature is present and valid.
+ *
+ */
+function checkSignature(req, appSecret) {
+  var found = _.find(SIGNATURE_HEADERS, function(candidate) {
+    return req.headers[candidate.header];
+  });
+  if (!found) {
+    return "Missing signature";
+  }
+
+  var elements = req.headers[found.header].split('=');
+  var method = elements[0];
+  var signatureHash = elements[1] || '';
+
+  if (method !== found.algorithm) {
+    return "Unsupported signature method " + method;
+  }
+
+  var expectedHash = crypto.createHmac(found.algorithm, appSecret)
+                      .update(req.rawBody || '')
+                      .digest('hex');
+
+  if (!safeEqual(signatureHash, expectedHash)) {
+    return "Invalid signature";
+  }
+}
+
+/*
+ * The oldest timestamp (ms) in a webhook body, from the entries and their
+ * messaging events.
+ *
+ */
+function oldestTimestamp(body) {
+  var timestamps = _.flatMap(body.entry || [], function(entry) {
+    return [entry.time].concat(_.map(entry.messaging || [], 'timestamp'));
+  });
+  return _.min(_.filter(timestamps, _.isFinite));
+}
+
+/*
+ * Middleware guarding the webhook. It rejects with a 403 any call whose
+ * signature doesn't match the app secret, and any call carrying events older
+ * than maxAge seconds.
+ *
+ * Options: appSecret, maxAge (defaults to WEBHOOK_MAX_EVENT_AGE) and
+ * devMode. In dev mode unsigned calls and old events are let through with a
+ * warning, for testing by hand; a wrong signature is still refused.
+ *
+ */
+function verifyWebhook(options) {
+  var maxAge = (options.maxAge || MAX_EVENT_AGE) * 1000;
+
+  function reject(res, message) {
+    console.error("Rejected webhook call: %s", message);
+    res.status(403).json({ error: message });
+  }
+
+  return function(req, res, next) {
+    var error = checkSignature(req, options.appSecret);
+
+    if (error === "Missing signature" && options.devMode) {
+      console.warn("Couldn't validate the signature, allowed in dev mode.");
+    } else if (error) {
+      return reject(res, error);
+    }
+
+    var oldest = oldestTimestamp(req.body || {});
+    if (oldest !== undefined && Date.now() - oldest > maxAge) {
+      if (!options.devMode) {
+        return reject(res, "Event timestamp too old");
+      }
+      console.warn("Accepting old webhook event in dev mode.");
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  captureRawBody: captureRawBody,
+  verifyWebhook: verifyWebhook
+};
@@ -0,0 +1,266 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  EventEmitter = require('events'),
+  createStore = require('./store'),
+  catalog = require('./catalog'),
+  messages = require('./messages'),
+  _ = require('lodash');
+
+// Specials a customer gets at most per 24 hours, across restaurants
+const PER_DAY = parseInt(process.env.SPECIALS_PER_DAY, 10) || 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Restaurants each customer gets specials from, and when they got the last
+// ones, keyed by sender
+const subscribers = createStore('specials-subscribers');
+
+// Specials sent out, with how it went for every subscriber, keyed by id
+const specials = createStore('specials');
+
+// Emits 'broadcast' (special, recipientIds) when a special is ready to be
+// sent to the subscribers who aren't throttled. Whoever sends it reports
+// back through recordResult().
+const events = new EventEmitter();
+
+var lastSequence = 0;
+
+function subscriber(senderID) {
+  return subscribers.get(senderID) || { restaurants: [], received: [] };
+}
+
+/*
+ * Sign a sender up for a restaurant's specials. Returns false when they
+ * already were.
+ *
+ */
+function subscribe(senderID, restaurantID) {
+  var entry = subscriber(senderID);
+  if (_.includes(entry.restaurants, restaurantID)) {
+    return false;
+  }
+
+  entry.restaurants.push(restaurantID);
+  subscribers.set(senderID, entry);
+  return true;
+}
+
+/*
+ * Stop a restaurant's specials for a sender, or all of them without a
+ * restaurant. Returns the restaurant ids they were unsubscribed from.
+ *
+ */
+function unsubscribe(senderID, restaurantID) {
+  var entry = subscriber(senderID);
+  var removed = restaurantID === undefined ? entry.restaurants :
+    _.intersection(entry.restaurants, [restaurantID]);
+
+  if (removed.length) {
+    entry.restaurants = _.difference(entry.restaurants, removed);
+    subscribers.set(senderID, entry);
+  }
+  return removed;
+}
+
+function isSubscribed(senderID, restaurantID) {
+  return _.includes(subscriber(senderID).restaurants, restaurantID);
+}
+
+function restaurantSubscribers(restaurantID) {
+  return _.filter(subscribers.keys(), function(senderID) {
+    return isSubscribed(senderID, restaurantID);
+  });
+}
+
+/*
+ * Whether a sender already got PER_DAY specials in the last 24 hours.
+ * Otherwise the special being sent counts towards their next ones, until
+ * sending it fails (see release).
+ *
+ */
+function throttle(senderID, now) {
+  var entry = subscriber(senderID);
+  var recent = _.filter(entry.received, function(at) {
+    return at > now - DAY_MS;
+  });
+
+  if (recent.length >= PER_DAY) {
+    return true;
+  }
+  entry.received = recent.concat(now);
+  subscribers.set(senderID, entry);
+  return false;
+}
+
+/*
+ * Give back the slot a special sent at `at` took, when it never reached the
+ * sender.
+ *
+ */
+function release(senderID, at) {
+  var entry = subscriber(senderID);
+  var index = _.indexOf(entry.received, at);
+
+  if (index !== -1) {
+    entry.received.splice(index, 1);
+    subscribers.set(senderID, entry);
+  }
+}
+
+function validate(restaurant, fields) {
+  var errors = [];
+
+  if (!_.isString(fields.text) || !_.trim(fields.text)) {
+    errors.push("text is required");
+  } else if (fields.text.length > messages.LIMITS.text) {
+    errors.push("text must be at most " + messages.LIMITS.text +
+      " characters");
+  }
+
+  var item = catalog.getItem(restaurant.id, fields.item_id);
+  if (!item) {
+    errors.push("item_id must be an item on " + restaurant.title + "'s menu");
+  } else if (!item.available || !restaurant.available) {
+    errors.push(item.title + " isn't available");
+  }
+  return errors;
+}
+
+/*
+ * Send a special to everyone subscribed to a restaurant: `fields` is
+ * { text, item_id }, the text and the menu item shown as a card below it.
+ * Returns { special }, { errors } when the fields aren't valid, or
+ * undefined when there's no such restaurant.
+ *
+ */
+function createSpecial(restaurantID, fields) {
+  var restaurant = catalog.getRestaurant(restaurantID);
+  if (!restaurant) {
+    return undefined;
+  }
+
+  var errors = validate(restaurant, fields);
+  if (errors.length) {
+    return { errors: errors };
+  }
+
+  var now = Date.now();
+  lastSequence += 1;
+
+  var special = {
+    id: now.toString(36) + lastSequence.toString(36),
+    restaurant_id: restaurant.id,
+    text: _.trim(fields.text),
+    item_id: fields.item_id,
+    status: 'sending',
+    created_at: now,
+    results: {}
+  };
+
+  var recipients = _.reject(restaurantSubscribers(restaurant.id),
+    function(senderID) {
+      var throttled = throttle(senderID, now);
+      special.results[senderID] = { status: throttled ? 'throttled' :
+        'pending' };
+      return throttled;
+    });
+
+  if (!recipients.length) {
+    special.status = 'done';
+    special.finished_at = now;
+  }
+  specials.set(special.id, special);
+
+  if (recipients.length) {
+    events.emit('broadcast', special, recipients);
+  }
+  return { special: special };
+}
+
+/*
+ * Note how sending a special to a recipient went, with the error when it
+ * failed. The special is done once no recipient is pending.
+ *
+ */
+function recordResult(id, recipientID, error) {
+  var special = specials.get(id);
+  if (!special || !special.results[recipientID]) {
+    return undefined;
+  }
+
+  if (error) {
+    release(recipientID, special.created_at);
+  }
+
+  special.results[recipientID] = _.omitBy({
+    status: error ? 'failed' : 'sent',
+    error: error,
+    at: Date.now()
+  }, _.isUndefined);
+
+  if (!_.some(special.results, { status: 'pending' })) {
+    special.status = 'done';
+    special.finished_at = Date.now();
+  }
+  specials.set(id, special);
+  return special;
+}
+
+function getSpecial(id) {
+  return specials.get(id);
+}
+
+/*
+ * Specials sent for a restaurant, newest first.
+ *
+ */
+function restaurantSpecials(restaurantID) {
+  return _.orderBy(_.filter(specials.values(), {
+    restaurant_id: restaurantID
+  }), 'created_at', 'desc');
+}
+
+/*
+ * The send report of a special: how many subscribers it was sent to, failed
+ * for or skipped because they got enough specials already, and why it
+ * failed for whom.
+ *
+ */
+function report(special) {
+  var counts = _.countBy(special.results, 'status');
+
+  return {
+    id: special.id,
+    restaurant_id: special.restaurant_id,
+    text: special.text,
+    item_id: special.item_id,
+    status: special.status,
+    created_at: special.created_at,
+    finished_at: special.finished_at,
+    recipients: _.size(special.results),
+    sent: counts.sent || 0,
+    failed: counts.failed || 0,
+    throttled: counts.throttled || 0,
+    pending: counts.pending || 0,
+    failures: _.compact(_.map(special.results, function(result, recipientID) {
+      return result.status === 'failed' &&
+        { recipient_id: recipientID, error: result.error };
+    }))
+  };
+}
+
+module.exports = {
+  PER_DAY: PER_DAY,
+  events: events,
+  subscribe: subscribe,
+  unsubscribe: unsubscribe,
+  isSubscribed: isSubscribed,
+  restaurantSubscribers: restaurantSubscribers,
+  createSpecial: createSpecial,
+  recordResult: recordResult,
+  getSpecial: getSpecial,
+  restaurantSpecials: restaurantSpecials,
+  report: report
+};
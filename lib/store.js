@@ -0,0 +1,69 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  fs = require('fs'),
+  path = require('path');
+
+// Directory holding the JSON files backing each store. Override with DATA_DIR
+// to keep state outside of the app directory.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+/*
+ * A tiny key/value store persisted as a JSON file under DATA_DIR. Every write
+ * is flushed synchronously so state survives across webhook calls and
+ * restarts of the app.
+ *
+ */
+function createStore(name) {
+  var file = path.join(DATA_DIR, name + '.json');
+  var data = {};
+
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      console.error("Failed to load store %s, starting empty", name, e);
+    }
+  }
+
+  function save() {
+    try {
+      fs.mkdirSync(DATA_DIR);
+    } catch (e) {
+      if (e.code !== 'EEXIST') {
+        throw e;
+      }
+    }
+    fs.writeFileSync(file, JSON.stringify(data, null, 2));
+  }
+
+  return {
+    get: function(key) {
+      return data[key];
+    },
+
+    set: function(key, value) {
+      data[key] = value;
+      save();
+      return value;
+    },
+
+    remove: function(key) {
+      delete data[key];
+      save();
+    },
+
+    keys: function() {
+      return Object.keys(data);
+    },
+
+    values: function() {
+      return Object.keys(data).map(function(key) {
+        return data[key];
+      });
+    }
+  };
+}
+
+module.exports = createStore;
@@ -0,0 +1,182 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  fs = require('fs'),
+  path = require('path'),
+  request = require('request'),
+  createStore = require('./store'),
+  _ = require('lodash');
+
+// Where attachments users send us are saved. Defaults to an uploads folder
+// under DATA_DIR.
+const UPLOAD_DIR = process.env.UPLOAD_DIR ||
+  path.join(process.env.DATA_DIR || path.join(__dirname, '..', 'data'),
+    'uploads');
+
+// Messenger accepts attachments of up to 25 MB
+const MAX_BYTES = parseInt(process.env.UPLOAD_MAX_BYTES, 10) ||
+  25 * 1024 * 1024;
+
+// File extensions for the content types we expect, anything else is .bin
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'audio/mpeg': '.mp3',
+  'audio/mp4': '.m4a',
+  'audio/aac': '.aac',
+  'audio/wav': '.wav',
+  'video/mp4': '.mp4',
+  'application/pdf': '.pdf',
+  'text/plain': '.txt'
+};
+
+// Upload metadata keyed by upload id
+const uploads = createStore('uploads');
+
+var lastSequence = 0;
+
+function ensureDir() {
+  try {
+    fs.mkdirSync(UPLOAD_DIR);
+  } catch (e) {
+    if (e.code !== 'EEXIST') {
+      throw e;
+    }
+  }
+}
+
+function update(upload, fields) {
+  _.assign(upload, fields);
+  uploads.set(upload.id, upload);
+  return upload;
+}
+
+/*
+ * Record an attachment a user sent ({ type, payload: { url } }) before it is
+ * downloaded, so it can be referred to straight away. `details` may add
+ * fields such as the order_id it belongs to.
+ *
+ */
+function createUpload(senderID, attachment, details) {
+  var now = Date.now();
+  lastSequence += 1;
+
+  var upload = _.assign({
+    id: now.toString(36) + lastSequence.toString(36),
+    sender_id: senderID,
+    type: attachment.type,
+    source_url: _.get(attachment, 'payload.url'),
+    status: 'pending',
+    received_at: now
+  }, details);
+
+  uploads.set(upload.id, upload);
+  return upload;
+}
+
+/*
+ * Fetch an upload's file from Messenger's CDN into UPLOAD_DIR. Resolves
+ * with the upload once it is stored, with its file name, content_type and
+ * size; rejects when it can't be fetched or is too large.
+ *
+ */
+function download(upload) {
+  return new Promise(function(resolve, reject) {
+    var fail = _.once(function(reason) {
+      update(upload, { status: 'failed', error: reason });
+      reject(new Error("Couldn't store upload " + upload.id + ": " + reason));
+    });
+
+    if (!upload.source_url) {
+      fail("it has no url");
+      return;
+    }
+    ensureDir();
+
+    var file, target, size = 0;
+    var fetch = request.get(upload.source_url);
+
+    fetch.on('error', function(error) {
+      fail(error.message);
+    });
+
+    fetch.on('response', function(response) {
+      var contentType = (response.headers['content-type'] || '')
+        .split(';')[0];
+
+      if (response.statusCode !== 200) {
+        fetch.abort();
+        fail("got status " + response.statusCode);
+        return;
+      }
+      if (parseInt(response.headers['content-length'], 10) > MAX_BYTES) {
+        fetch.abort();
+        fail("it is larger than " + MAX_BYTES + " bytes");
+        return;
+      }
+
+      file = upload.id + (EXTENSIONS[contentType] || '.bin');
+      target = path.join(UPLOAD_DIR, file);
+      var out = fs.createWriteStream(target);
+
+      response.on('data', function(chunk) {
+        size += chunk.length;
+        if (size > MAX_BYTES) {
+          fetch.abort();
+          out.destroy();
+          fs.unlink(target, _.noop);
+          fail("it is larger than " + MAX_BYTES + " bytes");
+        }
+      });
+      response.pipe(out);
+
+      out.on('error', function(error) {
+        fail(error.message);
+      });
+      out.on('finish', function() {
+        if (size > MAX_BYTES) {
+          return;
+        }
+        resolve(update(upload, {
+          status: 'stored',
+          file: file,
+          content_type: contentType || 'application/octet-stream',
+          size: size,
+          stored_at: Date.now()
+        }));
+      });
+    });
+  });
+}
+
+function getUpload(id) {
+  return uploads.get(id);
+}
+
+/*
+ * Where a stored upload's file is on disk, or undefined when it has none.
+ *
+ */
+function uploadPath(upload) {
+  return upload && upload.file ? path.join(UPLOAD_DIR, upload.file) :
+    undefined;
+}
+
+/*
+ * Every upload of a sender, newest first.
+ *
+ */
+function senderUploads(senderID) {
+  return _.orderBy(_.filter(uploads.values(), { sender_id: senderID }),
+    'received_at', 'desc');
+}
+
+module.exports = {
+  createUpload: createUpload,
+  download: download,
+  getUpload: getUpload,
+  uploadPath: uploadPath,
+  senderUploads: senderUploads
+};
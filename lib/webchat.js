@@ -0,0 +1,219 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  crypto = require('crypto'),
+  express = require('express'),
+  _ = require('lodash');
+
+// Sender ids of web chat users start with this, so replies find their way
+// back to the browser instead of going to Messenger
+const PREFIX = 'web:';
+
+// Stands in for the page id on events coming from the browser
+const PAGE_ID = 'webchat';
+
+// Longest a browser's poll for new messages is held open
+const MAX_WAIT_MS = 25 * 1000;
+
+// Messages kept per session for the browser to fetch
+const OUTBOX_SIZE = 200;
+
+// Sessions nobody polled for this long are dropped
+const SESSION_TTL = 24 * 60 * 60 * 1000;
+
+/*
+ * The web chat channel: a browser widget (public/chat.html) talks to the bot
+ * over long-polling. Messages from the browser are turned into the same
+ * messaging events Messenger posts to the webhook and handed to `onEvent`.
+ * Replies queue up in the session's outbox until the browser fetches them.
+ *
+ * Routes, relative to where `router` is mounted:
+ *
+ *   POST /sessions                  start a session, returns { session }
+ *   POST /sessions/:id/events       { text }, { postback: { payload, title } },
+ *                                   { quick_reply: { payload, title } } or
+ *                                   { location: { lat, long } }
+ *   GET  /sessions/:id/messages     ?after=<id>&wait=<ms>, returns
+ *                                   { messages: [{ id, recipient, message }] }
+ *
+ */
+function createWebChat(onEvent) {
+  var sessions = {};
+  var router = express.Router();
+
+  function expireSessions(now) {
+    _.forEach(_.keys(sessions), function(id) {
+      if (now - sessions[id].seen_at > SESSION_TTL) {
+        delete sessions[id];
+      }
+    });
+  }
+
+  function findSession(req, res) {
+    var session = sessions[req.params.id];
+    if (!session) {
+      res.status(404).json({ error: "Unknown chat session" });
+      return undefined;
+    }
+    session.seen_at = Date.now();
+    return session;
+  }
+
+  function newer(session, after) {
+    return _.filter(session.outbox, function(message) {
+      return message.id > after;
+    });
+  }
+
+  /*
+   * Turn what the browser sent into a Messenger style messaging event.
+   * Returns undefined when the body isn't something we understand.
+   *
+   */
+  function toEvent(session, body) {
+    // Keep timestamps unique per session, postbacks are told apart by them
+    session.timestamp = Math.max(Date.now(), session.timestamp + 1);
+    session.received += 1;
+
+    var event = {
+      sender: { id: session.sender_id },
+      recipient: { id: PAGE_ID },
+      timestamp: session.timestamp
+    };
+    var mid = 'web.' + session.id + '.' + session.received;
+
+    if (body.postback && _.isString(body.postback.payload)) {
+      event.postback = {
+        title: body.postback.title,
+        payload: body.postback.payload
+      };
+    } else if (body.quick_reply && _.isString(body.quick_reply.payload)) {
+      event.message = {
+        mid: mid,
+        text: body.quick_reply.title || body.quick_reply.payload,
+        quick_reply: { payload: body.quick_reply.payload }
+      };
+    } else if (body.location && _.isFinite(body.location.lat) &&
+        _.isFinite(body.location.long)) {
+      event.message = {
+        mid: mid,
+        attachments: [{
+          type: 'location',
+          payload: {
+            coordinates: { lat: body.location.lat, long: body.location.long }
+          }
+        }]
+      };
+    } else if (_.isString(body.text) && _.trim(body.text)) {
+      event.message = { mid: mid, text: body.text };
+    } else {
+      return undefined;
+    }
+    return event;
+  }
+
+  router.post('/sessions', function(req, res) {
+    var now = Date.now();
+    var id = crypto.randomBytes(16).toString('hex');
+    expireSessions(now);
+
+    sessions[id] = {
+      id: id,
+      sender_id: PREFIX + id,
+      outbox: [],
+      sequence: 0,
+      received: 0,
+      timestamp: 0,
+      waiters: [],
+      seen_at: now
+    };
+    res.status(201).json({ session: id });
+  });
+
+  router.post('/sessions/:id/events', function(req, res) {
+    var session = findSession(req, res);
+    if (!session) {
+      return;
+    }
+
+    var event = toEvent(session, req.body || {});
+    if (!event) {
+      res.status(400).json({ error: "Expected text, postback, quick_reply " +
+        "or location" });
+      return;
+    }
+
+    onEvent(event);
+    res.status(202).json({});
+  });
+
+  router.get('/sessions/:id/messages', function(req, res) {
+    var session = findSession(req, res);
+    if (!session) {
+      return;
+    }
+
+    var after = parseInt(req.query.after, 10) || 0;
+    var wait = Math.min(parseInt(req.query.wait, 10) || 0, MAX_WAIT_MS);
+    var messages = newer(session, after);
+
+    if (messages.length || !wait) {
+      res.json({ messages: messages });
+      return;
+    }
+
+    // Hold the request until there is something new or we've waited long
+    // enough
+    var waiter = {
+      after: after,
+      respond: function() {
+        clearTimeout(waiter.timer);
+        _.pull(session.waiters, waiter);
+        res.json({ messages: newer(session, after) });
+      }
+    };
+    waiter.timer = setTimeout(waiter.respond, wait);
+    session.waiters.push(waiter);
+    req.on('close', function() {
+      clearTimeout(waiter.timer);
+      _.pull(session.waiters, waiter);
+    });
+  });
+
+  return {
+    router: router,
+
+    owns: function(recipientId) {
+      return _.startsWith(recipientId, PREFIX);
+    },
+
+    // Channel interface, see lib/channels
+    send: function(messageData) {
+      var recipientId = messageData.recipient.id;
+      var session = sessions[recipientId.substring(PREFIX.length)];
+      if (!session) {
+        console.error("Dropping message for expired web chat session %s",
+          recipientId);
+        return Promise.reject(new Error("No web chat session for " +
+          recipientId));
+      }
+
+      session.sequence += 1;
+      session.outbox.push(_.assign({ id: session.sequence }, messageData));
+      if (session.outbox.length > OUTBOX_SIZE) {
+        session.outbox.shift();
+      }
+      session.waiters.slice().forEach(function(waiter) {
+        waiter.respond();
+      });
+
+      return Promise.resolve({
+        recipient_id: messageData.recipient.id,
+        message_id: 'web.' + session.id + '.out.' + session.sequence
+      });
+    }
+  };
+}
+
+module.exports = createWebChat;
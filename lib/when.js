@@ -0,0 +1,177 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  _ = require('lodash');
+
+// The hour a meal is usually eaten, for "lunch tomorrow" without a time
+const MEALS = {
+  breakfast: 8,
+  brunch: 11,
+  lunch: 12,
+  dinner: 18,
+  supper: 18
+};
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday',
+  'friday', 'saturday'];
+
+const NUMBERS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  half: 0.5
+};
+
+const MEAL = new RegExp('\\b(' + _.keys(MEALS).join('|') + ')\\b', 'i');
+
+const DAY = new RegExp('\\b(today|tonight|tomorrow|(?:on\\s+)?(' +
+  WEEKDAYS.join('|') + '))\\b', 'i');
+
+// "at 12", "at 7:30pm", "at noon", "12:30", "7pm"
+const CLOCK = new RegExp('(?:\\bat\\s+(noon|midnight|\\d{1,2}(?::\\d{2})?' +
+  '(?:\\s*[ap]\\.?m\\.?)?)|\\b(noon|\\d{1,2}:\\d{2}(?:\\s*[ap]\\.?m\\.?)?|' +
+  '\\d{1,2}\\s*[ap]\\.?m\\.?))(?![\\w:]|\\.\\d)', 'i');
+
+// "in 2 hours", "in half an hour", "in 45 minutes"
+const RELATIVE = new RegExp('\\bin\\s+(\\d+|' + _.keys(NUMBERS).join('|') +
+  ')(?:\\s+an?)?\\s+(minutes?|mins?|hours?|hrs?)\\b', 'i');
+
+/*
+ * Hours and minutes of a clock time such as "7:30pm", "12" or "noon".
+ * Without am or pm, `meal` decides, otherwise hours up to 6 are taken to be
+ * in the afternoon since hardly anyone orders food at 3am.
+ *
+ */
+function parseClock(text, meal) {
+  text = _.toLower(text).replace(/[\s.]/g, '');
+  if (text === 'noon') {
+    return { hours: 12, minutes: 0, exact: true };
+  }
+  if (text === 'midnight') {
+    return { hours: 0, minutes: 0, exact: true };
+  }
+
+  var match = /^(\d{1,2})(?::(\d{2}))?(am|pm)?$/.exec(text);
+  var hours = parseInt(match[1], 10);
+  var minutes = match[2] ? parseInt(match[2], 10) : 0;
+  if (hours > 23 || minutes > 59 || (match[3] && (hours < 1 || hours > 12))) {
+    return undefined;
+  }
+
+  if (match[3]) {
+    hours = hours % 12 + (match[3] === 'pm' ? 12 : 0);
+  } else if (hours < 12) {
+    var afternoon = meal ? MEALS[meal] >= 12 : hours <= 6;
+    hours += afternoon && hours !== 12 ? 12 : 0;
+  }
+  return { hours: hours, minutes: minutes, exact: !!(match[3] || meal) };
+}
+
+/*
+ * The midnight starting the day a message names, relative to `now`.
+ *
+ */
+function startOfDay(day, now) {
+  var date = new Date(now);
+  date.setHours(0, 0, 0, 0);
+
+  if (day === 'tomorrow') {
+    date.setDate(date.getDate() + 1);
+  } else if (_.includes(WEEKDAYS, day)) {
+    date.setDate(date.getDate() +
+      (WEEKDAYS.indexOf(day) - date.getDay() + 7) % 7);
+  }
+  return date;
+}
+
+/*
+ * Find when a message says something should happen, e.g. "lunch tomorrow at
+ * 12", "tonight at 7:30", "friday at noon" or "in 2 hours". Returns
+ * { at, matches } with the time in ms and the pieces of text that said so,
+ * or undefined when the message doesn't name a time. A meal on its own
+ * ("lunch ideas") isn't a time. Times are in the server's time zone.
+ *
+ */
+function parseWhen(text, now) {
+  now = now || Date.now();
+  text = text || '';
+  var match;
+
+  if ((match = RELATIVE.exec(text))) {
+    var count = NUMBERS[_.toLower(match[1])] || parseInt(match[1], 10);
+    var unit = /^h/i.test(match[2]) ? 60 : 1;
+    return { at: now + count * unit * 60 * 1000, matches: [match[0]] };
+  }
+
+  var meal = MEAL.exec(text);
+  var day = DAY.exec(text);
+  var clock = CLOCK.exec(text);
+  var mealName = meal && _.toLower(meal[1]);
+  var dayName = day && _.toLower(day[2] || day[1]);
+
+  if (!clock && !(day && (meal || dayName === 'tonight'))) {
+    return undefined;
+  }
+
+  var time = clock ? parseClock(clock[1] || clock[2],
+    mealName || (dayName === 'tonight' ? 'dinner' : undefined)) :
+    { hours: mealName ? MEALS[mealName] : 19, minutes: 0 };
+  if (!time) {
+    return undefined;
+  }
+
+  var date = startOfDay(dayName, now);
+  date.setHours(time.hours, time.minutes, 0, 0);
+
+  // "at 7" is 7pm once 7am has passed, and tomorrow once both have
+  if (!day && !time.exact && time.hours < 12 && date.getTime() <= now) {
+    date.setHours(time.hours + 12);
+  }
+  if (date.getTime() <= now && !(day && !_.includes(WEEKDAYS, dayName))) {
+    // "friday at noon" on a Friday afternoon means next week's
+    date.setDate(date.getDate() + (day ? 7 : 1));
+  }
+
+  return {
+    at: date.getTime(),
+    matches: _.compact([meal && meal[0], day && day[0], clock && clock[0]])
+  };
+}
+
+function formatClock(date) {
+  var hours = date.getHours() % 12 || 12;
+  return hours + ":" + _.padStart(String(date.getMinutes()), 2, '0') + " " +
+    (date.getHours() < 12 ? "AM" : "PM");
+}
+
+/*
+ * Say when a time is in words relative to `now`: "today at 12:00 PM",
+ * "tomorrow at 7:30 PM", "Friday at 12:00 PM" within the week, otherwise
+ * "Oct 21 at 12:00 PM".
+ *
+ */
+function describeWhen(time, now) {
+  var date = new Date(time);
+  var today = new Date(now || Date.now());
+  today.setHours(0, 0, 0, 0);
+
+  var day = new Date(time);
+  day.setHours(0, 0, 0, 0);
+  var days = Math.round((day - today) / (24 * 60 * 60 * 1000));
+
+  var name;
+  if (days === 0) {
+    name = "today";
+  } else if (days === 1) {
+    name = "tomorrow";
+  } else if (days > 1 && days < 7) {
+    name = _.capitalize(WEEKDAYS[date.getDay()]);
+  } else {
+    name = date.toDateString().substring(4, 10);
+  }
+  return name + " at " + formatClock(date);
+}
+
+module.exports = {
+  parseWhen: parseWhen,
+  describeWhen: describeWhen
+};
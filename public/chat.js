@@ -0,0 +1,304 @@
+/* jshint browser: true, devel: true */
+/*
+ * Web chat widget. Talks to the bot through the long-polling API in
+ * lib/webchat.js and renders its Send API style messages: text, quick
+ * replies and the generic, button and receipt templates.
+ *
+ */
+(function() {
+  'use strict';
+
+  var POLL_WAIT_MS = 20000;
+
+  var log = document.getElementById('log');
+  var quickReplies = document.getElementById('quick-replies');
+  var input = document.getElementById('input');
+  var textField = document.getElementById('text');
+
+  var session;
+  var lastMessageId = 0;
+
+  // Callbacks waiting for a new session, while one is being started
+  var starting;
+
+  function api(method, path, body, callback) {
+    var xhr = new XMLHttpRequest();
+    xhr.open(method, '/chat' + path);
+    xhr.setRequestHeader('Content-Type', 'application/json');
+    xhr.onload = function() {
+      callback(xhr.status, xhr.responseText ? JSON.parse(xhr.responseText) : {});
+    };
+    xhr.onerror = function() {
+      callback(0, {});
+    };
+    xhr.send(body ? JSON.stringify(body) : null);
+  }
+
+  function element(tag, className, text) {
+    var node = document.createElement(tag);
+    if (className) {
+      node.className = className;
+    }
+    if (text !== undefined) {
+      node.textContent = text;
+    }
+    return node;
+  }
+
+  function append(node) {
+    log.appendChild(node);
+    log.scrollTop = log.scrollHeight;
+  }
+
+  function bubble(text, from) {
+    append(element('div', 'bubble ' + from, text));
+  }
+
+  function sendEvent(body, echo) {
+    if (echo) {
+      bubble(echo, 'user');
+    }
+    quickReplies.innerHTML = '';
+
+    // The server forgets sessions when it restarts, start over with a new one
+    var sentOn = session;
+    api('POST', '/sessions/' + session + '/events', body, function(status) {
+      if (status === 404) {
+        restart(sentOn, function() {
+          sendEvent(body);
+        });
+      }
+    });
+  }
+
+  // Buttons of templates: postbacks go back to the bot, links open
+  function renderButton(button) {
+    if (button.type === 'postback') {
+      var node = element('button', null, button.title);
+      node.type = 'button';
+      node.onclick = function() {
+        sendEvent({
+          postback: { payload: button.payload, title: button.title }
+        }, button.title);
+      };
+      return node;
+    }
+
+    var link = element('a', 'button', button.title ||
+      (button.type === 'account_link' ? "Link account" : "Open"));
+    link.href = button.url || '#';
+    link.target = '_blank';
+    return link;
+  }
+
+  function renderCards(elements) {
+    var cards = element('div', 'cards');
+    elements.forEach(function(item) {
+      var card = element('div', 'card');
+      if (item.image_url) {
+        var image = element('img');
+        image.src = item.image_url;
+        image.alt = '';
+        card.appendChild(image);
+      }
+
+      var body = element('div', 'card-body');
+      body.appendChild(element('div', 'card-title', item.title));
+      if (item.subtitle) {
+        body.appendChild(element('div', 'card-subtitle', item.subtitle));
+      }
+      card.appendChild(body);
+
+      (item.buttons || []).forEach(function(button) {
+        card.appendChild(renderButton(button));
+      });
+      cards.appendChild(card);
+    });
+    append(cards);
+  }
+
+  function money(amount, currency) {
+    return (currency || '') + ' ' + Number(amount).toFixed(2);
+  }
+
+  function renderReceipt(payload) {
+    var receipt = element('div', 'receipt');
+    receipt.appendChild(element('div', 'card-title', 'Order #' +
+      payload.order_number));
+    receipt.appendChild(element('div', 'card-subtitle',
+      payload.payment_method));
+
+    var table = element('table');
+    function row(label, amount, className) {
+      var tr = element('tr', className);
+      tr.appendChild(element('td', null, label));
+      tr.appendChild(element('td', null, money(amount, payload.currency)));
+      table.appendChild(tr);
+    }
+
+    (payload.elements || []).forEach(function(item) {
+      row((item.quantity ? item.quantity + ' x ' : '') + item.title,
+        item.price);
+    });
+    (payload.adjustments || []).forEach(function(adjustment) {
+      row(adjustment.name, adjustment.amount);
+    });
+
+    var summary = payload.summary || {};
+    if (summary.subtotal !== undefined) {
+      row('Subtotal', summary.subtotal);
+    }
+    if (summary.shipping_cost) {
+      row('Delivery', summary.shipping_cost);
+    }
+    if (summary.total_tax !== undefined) {
+      row('Tax', summary.total_tax);
+    }
+    row('Total', summary.total_cost, 'total');
+
+    receipt.appendChild(table);
+    append(receipt);
+  }
+
+  function renderQuickReplies(replies) {
+    quickReplies.innerHTML = '';
+    (replies || []).forEach(function(reply) {
+      var button = element('button', null, reply.content_type === 'location' ?
+        "Send location" : reply.title);
+      button.type = 'button';
+      button.onclick = function() {
+        if (reply.content_type === 'location') {
+          sendLocation();
+        } else {
+          sendEvent({
+            quick_reply: { payload: reply.payload, title: reply.title }
+          }, reply.title);
+        }
+      };
+      quickReplies.appendChild(button);
+    });
+  }
+
+  function sendLocation() {
+    if (!navigator.geolocation) {
+      bubble("Your browser can't share its location.", 'bot');
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(function(position) {
+      sendEvent({
+        location: {
+          lat: position.coords.latitude,
+          long: position.coords.longitude
+        }
+      }, "📍 Location shared");
+    });
+  }
+
+  // Images and audio play inline, anything else is a link
+  function renderMedia(type, url) {
+    var media;
+
+    if (type === 'image') {
+      media = element('img', 'media');
+      media.src = url;
+    } else if (type === 'audio' || type === 'video') {
+      media = element(type, 'media');
+      media.src = url;
+      media.controls = true;
+    } else {
+      media = element('a', 'media', url);
+      media.href = url;
+      media.target = '_blank';
+    }
+    append(media);
+  }
+
+  function render(message) {
+    if (!message) {
+      return;
+    }
+    var payload = message.attachment && message.attachment.payload;
+
+    if (message.text) {
+      bubble(message.text, 'bot');
+    } else if (payload && payload.template_type === 'generic') {
+      renderCards(payload.elements);
+    } else if (payload && payload.template_type === 'button') {
+      bubble(payload.text, 'bot');
+      renderCards([{ title: '', buttons: payload.buttons }]);
+    } else if (payload && payload.template_type === 'receipt') {
+      renderReceipt(payload);
+    } else if (message.attachment && payload && payload.url) {
+      renderMedia(message.attachment.type, payload.url);
+    }
+    renderQuickReplies(message.quick_replies);
+  }
+
+  function poll() {
+    var polled = session;
+    api('GET', '/sessions/' + session + '/messages?after=' + lastMessageId +
+        '&wait=' + POLL_WAIT_MS, null, function(status, body) {
+      if (status === 404) {
+        return restart(polled, poll);
+      }
+      if (status !== 200) {
+        return setTimeout(poll, 2000);
+      }
+
+      body.messages.forEach(function(entry) {
+        lastMessageId = entry.id;
+        render(entry.message);
+      });
+      poll();
+    });
+  }
+
+  function start(callback) {
+    if (starting) {
+      starting.push(callback);
+      return;
+    }
+    starting = [callback];
+
+    api('POST', '/sessions', {}, function(status, body) {
+      var callbacks = starting;
+      starting = undefined;
+      if (status !== 201) {
+        bubble("Sorry, the chat is unavailable right now.", 'bot');
+        return;
+      }
+      session = body.session;
+      lastMessageId = 0;
+      sessionStorage.setItem('gordan-chat-session', session);
+      callbacks.forEach(function(next) {
+        next();
+      });
+    });
+  }
+
+  // Replace a session the server no longer knows, unless that already
+  // happened since the request went out
+  function restart(expired, callback) {
+    if (session !== expired) {
+      callback();
+    } else {
+      start(callback);
+    }
+  }
+
+  input.onsubmit = function(e) {
+    e.preventDefault();
+    var text = textField.value.trim();
+    if (text) {
+      textField.value = '';
+      sendEvent({ text: text }, text);
+    }
+  };
+
+  session = sessionStorage.getItem('gordan-chat-session');
+  if (session) {
+    poll();
+  } else {
+    start(poll);
+  }
+})();
@@ -3,5 +3,8 @@
 MESSENGER_APP_SECRET=$APP_SECRET \
 MESSENGER_PAGE_ACCESS_TOKEN=$PAGE_ACCESS_TOKEN \
 MESSENGER_VALIDATION_TOKEN=$VALIDATION_TOKEN \
+ADMIN_TOKEN=$ADMIN_TOKEN \
+MESSENGER_PROFILE_SYNC=true \
 SERVER_URL="http://gordan.herokuapp.com/" \
+TZ="America/Toronto" \
 node app.js
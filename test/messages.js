@@ -0,0 +1,180 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+/*
+ * Checks of the message builders in lib/messages.js on their own: messages
+ * that break a Send API limit are refused with an error saying which, and
+ * what can be shortened or split is. Run by `npm test` before the scripted
+ * conversations, or with `node test/messages.js`.
+ *
+ */
+
+const
+  assert = require('assert'),
+  messages = require('../lib/messages'),
+  _ = require('lodash');
+
+const LIMITS = messages.LIMITS;
+
+// Assert that `build` throws an error with exactly this message
+function throwsError(build, message) {
+  assert.throws(build, function(error) {
+    assert.strictEqual(error.message, message);
+    return true;
+  });
+}
+
+// The bodies of a carousel of `count` dishes, each with a button
+function carousel(count, truncated) {
+  var builder = messages.generic('user');
+  _.times(count, function(index) {
+    builder.element({ title: "Dish " + (index + 1) })
+      .postback("Order", "order." + (index + 1));
+  });
+  if (truncated) {
+    builder.truncate();
+  }
+  return builder.quickReply("Cart", "cart.view").build();
+}
+
+function elementTitles(body) {
+  return _.map(body.message.attachment.payload.elements, 'title');
+}
+
+const CHECKS = [{
+  name: "text messages are at most 2000 characters",
+  run: function() {
+    messages.text('user', _.repeat('a', LIMITS.text)).build();
+    throwsError(function() {
+      messages.text('user', _.repeat('a', LIMITS.text + 1)).build();
+    }, "Message text is 2001 characters long, the limit is 2000");
+  }
+}, {
+  name: "button template text is at most 640 characters",
+  run: function() {
+    var buttons = function(text) {
+      return messages.buttons('user', text).postback("OK", "ok").build();
+    };
+
+    buttons(_.repeat('a', LIMITS.templateText));
+    throwsError(function() {
+      buttons(_.repeat('a', LIMITS.templateText + 1));
+    }, "Button template text is 641 characters long, the limit is 640");
+  }
+}, {
+  name: "templates have at most 3 buttons",
+  run: function() {
+    throwsError(function() {
+      messages.buttons('user', "Pick one")
+        .postback("One", "1").postback("Two", "2")
+        .postback("Three", "3").postback("Four", "4")
+        .build();
+    }, "A button template needs 1 to 3 buttons, got 4");
+
+    throwsError(function() {
+      messages.generic('user').element({ title: "Dish" })
+        .postback("One", "1").postback("Two", "2")
+        .postback("Three", "3").postback("Four", "4");
+    }, "Element \"Dish\" can have at most 3 button(s)");
+  }
+}, {
+  name: "messages have at most 11 quick replies",
+  run: function() {
+    var withQuickReplies = function(count) {
+      var builder = messages.text('user', "Pick one");
+      _.times(count, function(index) {
+        builder.quickReply("Option " + index, "option." + index);
+      });
+      return builder.build();
+    };
+
+    assert.strictEqual(withQuickReplies(LIMITS.quickReplies)[0].message
+      .quick_replies.length, 11);
+    throwsError(function() {
+      withQuickReplies(LIMITS.quickReplies + 1);
+    }, "A message can have at most 11 quick replies, got 12");
+  }
+}, {
+  name: "long titles are shortened with an ellipsis",
+  run: function() {
+    var body = messages.generic('user')
+      .element({ title: _.repeat('t', 100), subtitle: _.repeat('s', 100) })
+      .postback(_.repeat('b', 30), "payload")
+      .quickReply(_.repeat('q', 30), "payload")
+      .build()[0];
+    var element = body.message.attachment.payload.elements[0];
+
+    assert.strictEqual(element.title, _.repeat('t', 79) + '…');
+    assert.strictEqual(element.subtitle, _.repeat('s', 79) + '…');
+    assert.strictEqual(element.buttons[0].title, _.repeat('b', 19) + '…');
+    assert.strictEqual(body.message.quick_replies[0].title,
+      _.repeat('q', 19) + '…');
+  }
+}, {
+  name: "payloads and metadata are at most 1000 characters",
+  run: function() {
+    var payload = _.repeat('p', LIMITS.payload + 1);
+
+    messages.buttons('user', "Order?")
+      .postback("Order", _.repeat('p', LIMITS.payload)).build();
+    throwsError(function() {
+      messages.buttons('user', "Order?").postback("Order", payload);
+    }, "Button \"Order\" payload is 1001 characters long, the limit is 1000");
+    throwsError(function() {
+      messages.text('user', "Order?").quickReply("Order", payload);
+    }, "Quick reply \"Order\" payload is 1001 characters long, the limit " +
+      "is 1000");
+    throwsError(function() {
+      messages.text('user', "Order?").metadata(payload);
+    }, "Message metadata is 1001 characters long, the limit is 1000");
+  }
+}, {
+  name: "carousels of more than 10 elements are split in order",
+  run: function() {
+    var bodies = carousel(23);
+
+    assert.deepStrictEqual(_.map(bodies, function(body) {
+      return elementTitles(body).length;
+    }), [10, 10, 3]);
+    assert.strictEqual(elementTitles(bodies[1])[0], "Dish 11");
+    assert.strictEqual(elementTitles(bodies[2])[2], "Dish 23");
+
+    // Quick replies go under the last carousel only
+    assert.deepStrictEqual(_.map(bodies, function(body) {
+      return _.size(body.message.quick_replies);
+    }), [0, 0, 1]);
+  }
+}, {
+  name: "truncated carousels keep their first 10 elements",
+  run: function() {
+    var bodies = carousel(23, true);
+
+    assert.strictEqual(bodies.length, 1);
+    assert.deepStrictEqual(elementTitles(bodies[0]), _.times(10,
+      function(index) {
+        return "Dish " + (index + 1);
+      }));
+  }
+}];
+
+function print(line) {
+  process.stdout.write(line + "\n");
+}
+
+if (require.main === module) {
+  var failed = _.filter(CHECKS, function(check) {
+    try {
+      check.run();
+      print("ok   " + check.name);
+      return false;
+    } catch (e) {
+      print("FAIL " + check.name);
+      print("       " + e.message);
+      return true;
+    }
+  });
+
+  print("\n" + (CHECKS.length - failed.length) + " of " + CHECKS.length +
+    " message checks passed");
+  process.exit(failed.length ? 1 : 0);
+}
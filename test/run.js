@@ -0,0 +1,682 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+/*
+ * Runs the scripted conversations in test/conversations against the app, with
+ * test/support/graph.js standing in for the Graph API. Each script is a JSON
+ * file:
+ *
+ *   {
+ *     "name": "ordering a pizza for pickup",
+ *     "steps": [
+ *       { "user": "two cheese pizzas",
+ *         "bot": [{ "template": "button", "contains": "Added 2 x" }] },
+ *       { "tap": "Checkout",
+ *         "bot": [{ "text": "Pickup or delivery?",
+ *                   "quickReplies": ["Pickup", "Delivery"] }] }
+ *     ]
+ *   }
+ *
+ * A step is what the user does: "user" (text), "tap" (the title of a button
+ * or quick reply the bot sent, with "on" naming the card when titles
+ * repeat), "postback" or "quickReply" (a raw payload), "optin" (a ref),
+ * "location" ({ lat, long }), "attachment" ({ type, payload }, where
+ * {{cdn}} in a url stands for the stand-in's attachment server), "menu" (the
+ * title of a persistent menu item), "getStarted" (true, or the ref of the
+ * m.me link followed), "referral" (a ref), "delivery" (true, everything sent
+ * so far reached the phone) or "read" (true, everything sent so far was
+ * read). Staff can step in from the dashboard inbox with "staff"
+ * (a reply) and "staffDone" (true, giving the user back to the bot), and
+ * the admin API can broadcast a "special" ({ restaurant, text, item }) to
+ * everyone subscribed to a restaurant. "clock" moves the app's time ahead
+ * by some minutes and runs the scheduled jobs that fell due; time never goes
+ * back, later scripts see it too. "bot" lists the messages expected
+ * back, in order; typing indicators and read receipts are left out. An
+ * expected message may check:
+ *
+ *   text          the exact text
+ *   contains      a piece of the text, or of a template's text or title
+ *   template      the template type: generic, button, receipt...
+ *   elements      how many elements a generic template has
+ *   titles        the titles of those elements
+ *   buttons       the titles of a button template's buttons
+ *   quickReplies  the titles of the quick replies
+ *   summary       fields of a receipt's summary, e.g. { "total_cost": 11.28 }
+ *   adjustments   the names of a receipt's adjustments
+ *   media         the type of an image, audio, video or file message
+ *
+ * "graphFails" ({ times, status }) makes the stand-in answer the next sends
+ * with an HTTP error, and the step after it can check how the app coped:
+ *
+ *   sendAttempts  the status of every attempt to send the user a message,
+ *                 e.g. [503, 200]; retries must wait out the backoff
+ *   deadLetters   the messages given up on, checked like "bot" ones
+ *
+ * Steps can also call the admin API directly: "admin" is "<METHOD> <path>",
+ * with an optional "body", and "response" checks the answer's "status" (any
+ * 2xx by default), "json" (fields the body must have) and "contains" (a
+ * piece of the body as text). {{sender}} in the path or body stands for the
+ * script's user.
+ *
+ * Any Messenger step can be "redelivered" (true): its webhook call is posted
+ * twice, and the bot must act on it once.
+ *
+ * "webhook" posts a body to the webhook as is, signed like Messenger does or
+ * as "signature" says (see test/support/webhook.js), and "response" checks
+ * the answer the same way. {{sender}} in it stands for the script's user and
+ * "{{now}}" for the current time in ms.
+ *
+ * The Messenger Profile in config/messenger-profile.json is synced to the
+ * stand-in first, so menu steps tap what the page would really show.
+ *
+ * Scripts talk to the bot on Messenger, or through the web chat API with
+ * "channel": "web"; optin, referral, delivery, read and attachment steps are
+ * Messenger only. Every script talks as its own user, but they share the
+ * app's data and run in file name order, so analytics.json sees only its
+ * own. Run `npm test`, or `node test/run.js ordering` for the scripts whose
+ * file names contain "ordering". The app's own logging is hidden unless
+ * TEST_VERBOSE is set.
+ *
+ */
+
+const
+  fs = require('fs'),
+  os = require('os'),
+  path = require('path'),
+  createAdminClient = require('./support/admin'),
+  createGraphStub = require('./support/graph'),
+  createInboxClient = require('./support/inbox'),
+  createWebChatClient = require('./support/webchat'),
+  createWebhookClient = require('./support/webhook'),
+  _ = require('lodash');
+
+const APP_SECRET = 'test-app-secret';
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+const CONVERSATIONS_DIR = path.join(__dirname, 'conversations');
+
+// A step is over once the bot has been quiet this long
+const QUIET_MS = 150;
+
+// ... or at the latest after this long
+const STEP_TIMEOUT_MS = 5000;
+
+// Stands in for the Graph API, see test/support/graph.js
+const graph = createGraphStub();
+
+// The app runs in this process and reads the time from here, "clock" steps
+// move it ahead
+const realNow = Date.now;
+var clockOffset = 0;
+Date.now = function() {
+  return realNow() + clockOffset;
+};
+
+// Staff in the dashboard inbox and the admin API, once the app is listening
+var inbox;
+var admin;
+
+/*
+ * Configure the app for an offline run. The store writes to a fresh
+ * directory so every run starts from the seeded catalog.
+ *
+ */
+function setUpEnvironment(graphUrl) {
+  _.assign(process.env, {
+    MESSENGER_APP_SECRET: APP_SECRET,
+    MESSENGER_VALIDATION_TOKEN: 'test-validation-token',
+    MESSENGER_PAGE_ACCESS_TOKEN: 'test-page-access-token',
+    SERVER_URL: 'https://gordan.test/',
+    ADMIN_TOKEN: ADMIN_TOKEN,
+    GRAPH_API_URL: graphUrl,
+    SEND_RATE_LIMIT: '1000',
+    SEND_MAX_ATTEMPTS: '3',
+    SEND_RETRY_DELAY_MS: '10',
+    // Orders scheduled an hour ahead are up for confirmation straight away
+    SCHEDULE_CONFIRM_MINUTES: '30',
+    DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'gordan-test-')),
+    UPLOAD_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'gordan-uploads-'))
+  });
+}
+
+// The stores and uploads are flat folders of files
+function removeDataDirs() {
+  [process.env.DATA_DIR, process.env.UPLOAD_DIR].forEach(function(dir) {
+    fs.readdirSync(dir).forEach(function(file) {
+      fs.unlinkSync(path.join(dir, file));
+    });
+    fs.rmdirSync(dir);
+  });
+}
+
+function messageText(message) {
+  var payload = _.get(message, 'message.attachment.payload') || {};
+  return _.get(message, 'message.text') || payload.text ||
+    _.map(payload.elements, 'title').join("\n") || '';
+}
+
+function describeMessage(message) {
+  var template = _.get(message, 'message.attachment.payload.template_type');
+  return (template ? "[" + template + "] " : "") +
+    JSON.stringify(messageText(message));
+}
+
+/*
+ * What is wrong with a sent message compared to an expected one. Returns a
+ * list of problems, empty when it matches.
+ *
+ */
+function check(expected, message) {
+  var problems = [];
+  var payload = _.get(message, 'message.attachment.payload') || {};
+  var text = messageText(message);
+
+  function compare(what, actual, wanted) {
+    if (wanted !== undefined && !_.isEqual(actual, wanted)) {
+      problems.push(what + " was " + JSON.stringify(actual) + ", expected " +
+        JSON.stringify(wanted));
+    }
+  }
+
+  compare("text", _.get(message, 'message.text'), expected.text);
+  compare("template", payload.template_type, expected.template);
+  compare("number of elements", _.size(payload.elements), expected.elements);
+  compare("element titles", _.map(payload.elements, 'title'),
+    expected.titles);
+  compare("buttons", _.map(payload.buttons, 'title'), expected.buttons);
+  compare("quick replies", _.map(_.get(message, 'message.quick_replies'),
+    'title'), expected.quickReplies);
+  compare("receipt summary", expected.summary &&
+    _.pick(payload.summary, _.keys(expected.summary)), expected.summary);
+  compare("adjustments", _.map(payload.adjustments, 'name'),
+    expected.adjustments);
+  compare("media", _.get(message, 'message.attachment.type'), expected.media);
+
+  if (expected.contains !== undefined && !_.includes(text, expected.contains)) {
+    problems.push("text " + JSON.stringify(text) + " doesn't contain " +
+      JSON.stringify(expected.contains));
+  }
+  return problems;
+}
+
+/*
+ * Resolve with the messages sent to a user from `from` on, once the bot has
+ * gone quiet.
+ *
+ */
+function waitForReplies(channel, senderID, from) {
+  var started = Date.now();
+  var lastChange = started;
+  var count = from;
+
+  return new Promise(function(resolve, reject) {
+    (function poll() {
+      channel.sentTo(senderID).then(function(sent) {
+        var now = Date.now();
+
+        if (sent.length !== count) {
+          count = sent.length;
+          lastChange = now;
+        }
+        if (now - lastChange >= QUIET_MS || now - started >= STEP_TIMEOUT_MS) {
+          resolve(sent.slice(from));
+        } else {
+          setTimeout(poll, 25);
+        }
+      }, reject);
+    })();
+  });
+}
+
+/*
+ * Find the button or quick reply titled `title` among the messages sent so
+ * far, newest first. `on` picks the card holding the button.
+ *
+ */
+function findTappable(sent, title, on) {
+  var found;
+
+  _.forEachRight(sent, function(message) {
+    var quickReply = _.find(_.get(message, 'message.quick_replies'),
+      { title: title });
+    if (quickReply && !on) {
+      found = { type: 'quickReply', payload: quickReply.payload };
+      return false;
+    }
+
+    var payload = _.get(message, 'message.attachment.payload') || {};
+    var cards = payload.elements || [payload];
+    _.forEach(cards, function(card) {
+      var button = _.find(card.buttons, { type: 'postback', title: title });
+      if (button && (!on || card.title === on)) {
+        found = { type: 'postback', payload: button.payload };
+        return false;
+      }
+    });
+    return !found;
+  });
+
+  return found;
+}
+
+/*
+ * Find the persistent menu item titled `title` in the page's profile,
+ * looking inside nested menus too.
+ *
+ */
+function findMenuItem(items, title) {
+  var found;
+
+  _.forEach(items, function(item) {
+    found = item.title === title && item.type === 'postback' ? item :
+      findMenuItem(item.call_to_actions, title);
+    return !found;
+  });
+  return found;
+}
+
+function fillInSender(value, senderID) {
+  return value === undefined ? value :
+    JSON.parse(JSON.stringify(value).replace(/{{sender}}/g, senderID));
+}
+
+// Webhook bodies can also use the time, as a number
+function fillInWebhook(body, senderID) {
+  return JSON.parse(JSON.stringify(fillInSender(body, senderID))
+    .replace(/"{{now}}"/g, Date.now()));
+}
+
+function sendStep(client, senderID, step, sent) {
+  var action = _.find(['user', 'tap', 'menu', 'getStarted', 'postback',
+    'quickReply', 'optin', 'referral', 'delivery', 'read', 'location',
+    'attachment', 'staff', 'staffDone', 'special', 'admin', 'clock',
+    'graphFails', 'webhook'],
+    function(key) {
+      return step[key] !== undefined;
+    });
+  var method = action === 'user' ? 'text' : action;
+
+  if (action === 'menu' || action === 'getStarted') {
+    method = _.isString(step.getStarted) ? 'referredPostback' : 'postback';
+  }
+  if (action === 'staff') {
+    return inbox.reply(senderID, step.staff);
+  } else if (action === 'staffDone') {
+    return inbox.done(senderID);
+  } else if (action === 'graphFails') {
+    graph.failNext(step.graphFails.times, step.graphFails.status);
+    return Promise.resolve({ statusCode: 200 });
+  } else if (action === 'clock') {
+    clockOffset += step.clock * 60 * 1000;
+    require('../lib/scheduler').runDueJobs();
+    return Promise.resolve({ statusCode: 200 });
+  } else if (action === 'admin') {
+    var call = step.admin.split(' ');
+    return admin.call(call[0], fillInSender(call[1], senderID),
+      fillInSender(step.body, senderID));
+  } else if (action === 'special') {
+    return admin.special(step.special.restaurant, {
+      text: step.special.text,
+      item_id: step.special.item
+    });
+  }
+  if (action === 'webhook' && client.post) {
+    return client.post(fillInWebhook(step.webhook, senderID), step.signature);
+  }
+  if (action && action !== 'tap' && !client[method]) {
+    return Promise.reject(new Error(action + " steps aren't supported on " +
+      "this channel"));
+  }
+
+  if (step.tap !== undefined) {
+    var tapped = findTappable(sent, step.tap, step.on);
+    if (!tapped) {
+      return Promise.reject(new Error("nothing to tap titled " +
+        JSON.stringify(step.tap) + (step.on ? " on " + step.on : "")));
+    }
+    return client[tapped.type](senderID, tapped.payload, step.tap);
+  } else if (step.menu !== undefined) {
+    var menu = _.find(graph.profile.persistent_menu, { locale: 'default' });
+    var item = findMenuItem(menu && menu.call_to_actions, step.menu);
+    if (!item) {
+      return Promise.reject(new Error("no menu item titled " +
+        JSON.stringify(step.menu)));
+    }
+    return client.postback(senderID, item.payload, step.menu);
+  } else if (step.getStarted !== undefined) {
+    if (!graph.profile.get_started) {
+      return Promise.reject(new Error("the page has no Get Started button"));
+    }
+    if (_.isString(step.getStarted)) {
+      return client.referredPostback(senderID,
+        graph.profile.get_started.payload, step.getStarted);
+    }
+    return client.postback(senderID, graph.profile.get_started.payload,
+      "Get Started");
+  } else if (step.user !== undefined) {
+    return client.text(senderID, step.user);
+  } else if (step.postback !== undefined) {
+    return client.postback(senderID, step.postback);
+  } else if (step.quickReply !== undefined) {
+    return client.quickReply(senderID, step.quickReply);
+  } else if (step.optin !== undefined) {
+    return client.optin(senderID, step.optin);
+  } else if (step.referral !== undefined) {
+    return client.referral(senderID, step.referral);
+  } else if (step.delivery !== undefined) {
+    return client.delivery(senderID);
+  } else if (step.read !== undefined) {
+    return client.read(senderID);
+  } else if (step.location !== undefined) {
+    return client.location(senderID, step.location.lat, step.location.long);
+  } else if (step.attachment !== undefined) {
+    return client.attachment(senderID, step.attachment.type,
+      JSON.parse(JSON.stringify(step.attachment.payload || {})
+        .replace(/{{cdn}}/g, graph.attachmentsUrl)));
+  }
+  return Promise.reject(new Error("Step without a user action: " +
+    JSON.stringify(step)));
+}
+
+/*
+ * Post a step's webhook call again when it is "redelivered". Resolves with
+ * the first answer unless the second one isn't a 200.
+ *
+ */
+function redeliver(client, step, response) {
+  if (!step.redelivered) {
+    return Promise.resolve(response);
+  }
+  if (!client.redeliver) {
+    return Promise.reject(new Error("redelivered steps aren't supported " +
+      "on this channel"));
+  }
+  return client.redeliver().then(function(again) {
+    return again.statusCode === 200 ? response : again;
+  });
+}
+
+/*
+ * What is wrong with the admin API's or the webhook's answer to a step
+ * compared to the expected response.
+ *
+ */
+function checkResponse(expected, response) {
+  var problems = [];
+  var status = response.statusCode;
+  var text = _.isString(response.body) ? response.body :
+    JSON.stringify(response.body);
+
+  if (expected.status !== undefined ? status !== expected.status :
+      status < 200 || status > 299) {
+    problems.push("answered " + status + " " + text);
+  }
+  if (expected.json !== undefined && !_.isMatch(response.body,
+      expected.json)) {
+    problems.push("response " + text + " doesn't match " +
+      JSON.stringify(expected.json));
+  }
+  if (expected.contains !== undefined && !_.includes(text, expected.contains)) {
+    problems.push("response " + JSON.stringify(text) + " doesn't contain " +
+      JSON.stringify(expected.contains));
+  }
+  return problems;
+}
+
+/*
+ * What is wrong with the attempts to send a user messages since call number
+ * `from`: their statuses, and whether each retry waited SEND_RETRY_DELAY_MS,
+ * doubled for every failure in a row.
+ *
+ */
+function checkSendAttempts(expected, senderID, from) {
+  var retryDelay = parseInt(process.env.SEND_RETRY_DELAY_MS, 10);
+  var maxAttempts = parseInt(process.env.SEND_MAX_ATTEMPTS, 10);
+  var calls = _.filter(graph.calls.slice(from), { recipient_id: senderID });
+  var problems = [];
+  var failed = 0;
+
+  if (!_.isEqual(_.map(calls, 'status'), expected)) {
+    problems.push("sends answered " + JSON.stringify(_.map(calls, 'status')) +
+      ", expected " + JSON.stringify(expected));
+  }
+
+  calls.forEach(function(call, index) {
+    failed = call.status === 200 ? 0 : failed === maxAttempts ? 1 :
+      failed + 1;
+    var next = calls[index + 1];
+    var wait = retryDelay * Math.pow(2, failed - 1);
+
+    if (failed && failed < maxAttempts && next && next.at - call.at < wait) {
+      problems.push("retry " + failed + " came after " +
+        (next.at - call.at) + " ms, expected at least " + wait + " ms");
+    }
+  });
+  return problems;
+}
+
+/*
+ * What is wrong with the messages to a user given up on since `since`,
+ * compared to the expected ones.
+ *
+ */
+function checkDeadLetters(expected, senderID, since) {
+  // A fresh copy of the send queue's store, as it is on disk now
+  var store = require('../lib/store')('dead-letters');
+  var deadLetters = _.filter(store.values(), function(deadLetter) {
+    return deadLetter.failed_at >= since &&
+      deadLetter.message.recipient.id === senderID;
+  });
+  var problems = [];
+
+  if (deadLetters.length !== expected.length) {
+    problems.push(deadLetters.length + " message(s) were given up on, " +
+      "expected " + expected.length);
+  }
+  _.orderBy(deadLetters, 'failed_at').forEach(function(deadLetter, index) {
+    check(expected[index] || {}, deadLetter.message).forEach(
+      function(problem) {
+        problems.push("dead letter " + (index + 1) + ": " + problem);
+      });
+  });
+  return problems;
+}
+
+/*
+ * Play one step and compare what came back. Resolves with the problems
+ * found.
+ *
+ */
+function runStep(channel, senderID, step) {
+  var from;
+  var startedAt = Date.now();
+  var callsFrom = graph.calls.length;
+
+  return channel.sentTo(senderID).then(function(sent) {
+    from = sent.length;
+    return sendStep(channel, senderID, step, sent).then(function(response) {
+      return redeliver(channel, step, response);
+    });
+  }).then(function(response) {
+    var problems = [];
+
+    if (step.admin !== undefined || step.webhook !== undefined) {
+      problems = checkResponse(step.response || {}, response);
+    } else if (response.statusCode !== 200) {
+      return ["bot answered " + response.statusCode + " " +
+        JSON.stringify(response.body)];
+    }
+
+    return waitForReplies(channel, senderID, from).then(function(sent) {
+      var expected = step.bot || [];
+
+      expected.forEach(function(expectedMessage, index) {
+        if (index >= sent.length) {
+          problems.push("message " + (index + 1) + " was never sent");
+          return;
+        }
+        check(expectedMessage, sent[index]).forEach(function(problem) {
+          problems.push("message " + (index + 1) + ": " + problem);
+        });
+      });
+
+      sent.slice(expected.length).forEach(function(message) {
+        problems.push("unexpected message " + describeMessage(message));
+      });
+
+      if (step.sendAttempts !== undefined) {
+        problems = problems.concat(checkSendAttempts(step.sendAttempts,
+          senderID, callsFrom));
+      }
+      if (step.deadLetters !== undefined) {
+        problems = problems.concat(checkDeadLetters(step.deadLetters,
+          senderID, startedAt));
+      }
+      return problems;
+    });
+  });
+}
+
+function runScript(channels, file) {
+  var script = JSON.parse(fs.readFileSync(path.join(CONVERSATIONS_DIR, file),
+    'utf8'));
+  var channel = channels[script.channel || 'messenger'];
+  var failures = [];
+
+  if (!channel) {
+    return Promise.resolve({
+      name: script.name || file,
+      failures: ["unknown channel " + script.channel]
+    });
+  }
+
+  var started = channel.start(script.sender ||
+    'test-' + path.basename(file, '.json'));
+
+  return script.steps.reduce(function(previous, step, index) {
+    return previous.then(function(senderID) {
+      return runStep(channel, senderID, step).then(function(problems) {
+        problems.forEach(function(problem) {
+          failures.push("step " + (index + 1) + ": " + problem);
+        });
+        return senderID;
+      });
+    });
+  }, started).catch(function(error) {
+    failures.push(error.message);
+  }).then(function() {
+    return { name: script.name || file, failures: failures };
+  });
+}
+
+/*
+ * Sync the Messenger Profile to the stand-in, twice: the second sync must
+ * find nothing left to change.
+ *
+ */
+function syncProfile(graphUrl) {
+  var messengerProfile = require('../lib/messengerprofile');
+  var profile = messengerProfile.createProfileSync({
+    accessToken: process.env.MESSENGER_PAGE_ACCESS_TOKEN,
+    graphUrl: graphUrl
+  });
+
+  return profile.sync().then(function() {
+    return profile.sync();
+  }).then(function(result) {
+    if (result.changed.length || result.removed.length) {
+      throw new Error("Syncing the Messenger Profile again changed " +
+        result.changed.concat(result.removed).join(", "));
+    }
+  });
+}
+
+function main(filter) {
+  var graphUrl;
+
+  return graph.listen(0).then(function(url) {
+    graphUrl = url;
+    setUpEnvironment(graphUrl);
+    if (!process.env.TEST_VERBOSE) {
+      console.log = console.info = console.warn = _.noop;
+    }
+    return syncProfile(graphUrl);
+  }).then(function() {
+    var app = require('../app');
+    var server = app.listen(0);
+    var appUrl = 'http://localhost:' + server.address().port;
+
+    inbox = createInboxClient({
+      url: appUrl + '/dashboard',
+      adminToken: ADMIN_TOKEN
+    });
+    admin = createAdminClient({
+      url: appUrl + '/admin',
+      adminToken: ADMIN_TOKEN
+    });
+
+    // Scripts run on Messenger unless they say "channel": "web"
+    var messenger = createWebhookClient({
+      url: appUrl + '/webhook',
+      appSecret: APP_SECRET
+    });
+    messenger.start = function(senderID) {
+      return Promise.resolve(senderID);
+    };
+    messenger.sentTo = function(senderID) {
+      return Promise.resolve(graph.sentTo(senderID));
+    };
+
+    var channels = {
+      messenger: messenger,
+      web: createWebChatClient({ url: appUrl + '/chat' })
+    };
+
+    var files = fs.readdirSync(CONVERSATIONS_DIR).filter(function(file) {
+      return path.extname(file) === '.json' &&
+        (!filter || _.includes(file, filter));
+    }).sort();
+
+    var results = [];
+    return files.reduce(function(previous, file) {
+      return previous.then(function() {
+        return runScript(channels, file);
+      }).then(function(result) {
+        results.push(result);
+      });
+    }, Promise.resolve()).then(function() {
+      server.close();
+      graph.close();
+      removeDataDirs();
+      return results;
+    });
+  });
+}
+
+function print(line) {
+  process.stdout.write(line + "\n");
+}
+
+if (require.main === module) {
+  main(process.argv[2]).then(function(results) {
+    var failed = _.filter(results, function(result) {
+      return result.failures.length;
+    });
+
+    results.forEach(function(result) {
+      print((result.failures.length ? "FAIL " : "ok   ") + result.name);
+      result.failures.forEach(function(failure) {
+        print("       " + failure);
+      });
+    });
+    print("\n" + (results.length - failed.length) + " of " + results.length +
+      " conversations passed");
+    process.exit(failed.length ? 1 : 0);
+  }, function(error) {
+    console.error(error.stack || error);
+    process.exit(1);
+  });
+}
+
+module.exports = main;
@@ -0,0 +1,49 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  request = require('request'),
+  _ = require('lodash');
+
+/*
+ * Calls the admin API (lib/admin.js) the way a back office would. Helpers
+ * resolve with { statusCode, body }.
+ *
+ * Options: url where the API is mounted and the adminToken.
+ *
+ */
+function createAdminClient(options) {
+  function call(method, path, body) {
+    return new Promise(function(resolve, reject) {
+      request({
+        uri: options.url + path,
+        method: method,
+        headers: { Authorization: 'Bearer ' + options.adminToken },
+        json: body || true
+      }, function(error, response, responseBody) {
+        if (error) {
+          reject(error);
+        } else {
+          resolve({ statusCode: response.statusCode, body: responseBody });
+        }
+      });
+    });
+  }
+
+  return {
+    // Any admin API call, e.g. call('PUT', '/restaurants/x', { ... })
+    call: call,
+
+    // Broadcast a special { text, item_id }, answered like the webhook
+    special: function(restaurantId, body) {
+      return call('POST', '/restaurants/' + encodeURIComponent(restaurantId) +
+        '/specials', body).then(function(response) {
+          return _.assign(response, {
+            statusCode: response.statusCode === 202 ? 200 : response.statusCode
+          });
+        });
+    }
+  };
+}
+
+module.exports = createAdminClient;
@@ -0,0 +1,155 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  http = require('http'),
+  path = require('path'),
+  bodyParser = require('body-parser'),
+  express = require('express'),
+  _ = require('lodash');
+
+/*
+ * A local stand-in for the Graph API's Send API. It accepts what the bot
+ * posts to /me/messages, answers like graph.facebook.com and keeps every
+ * message so tests can look at what was sent. Point GRAPH_API_URL at it.
+ * `onMessage(message)` is called for each message as it arrives.
+ *
+ * Every attempt to send a message, leaving out sender actions, is noted in
+ * `calls` as { recipient_id, status, at }. failNext(count, status) answers
+ * the next `count` of them with that HTTP status, the way an outage or rate
+ * limit would.
+ *
+ * It also keeps a Messenger Profile at /me/messenger_profile, with `profile`
+ * holding the page's current one and `profileWrites` the number of changes,
+ * and serves public/assets under /attachments like Messenger's CDN serves
+ * what users send.
+ *
+ */
+function createGraphStub(onMessage) {
+  var app = express();
+  var server;
+  var messages = [];
+  var calls = [];
+  var failures = { count: 0 };
+  var stub;
+
+  app.use(bodyParser.json());
+  app.use('/attachments', express.static(path.join(__dirname, '..', '..',
+    'public', 'assets')));
+
+  app.use(function(req, res, next) {
+    if (!req.query.access_token) {
+      res.status(400).json({
+        error: { message: "An access token is required", code: 190 }
+      });
+      return;
+    }
+    next();
+  });
+
+  app.post(/\/me\/messages$/, function(req, res) {
+    var call = { recipient_id: req.body.recipient.id, at: Date.now() };
+    if (!req.body.sender_action) {
+      calls.push(call);
+    }
+
+    if (failures.count > 0 && !req.body.sender_action) {
+      failures.count -= 1;
+      call.status = failures.status;
+      res.status(failures.status).json({
+        error: { message: http.STATUS_CODES[failures.status] }
+      });
+      return;
+    }
+
+    call.status = 200;
+    messages.push(req.body);
+    if (onMessage) {
+      onMessage(req.body);
+    }
+    res.json({
+      recipient_id: req.body.recipient.id,
+      message_id: 'mid.stub.' + messages.length
+    });
+  });
+
+  app.get(/\/me\/messenger_profile$/, function(req, res) {
+    var fields = (req.query.fields || '').split(',');
+    var found = _.pick(stub.profile, fields);
+    res.json({ data: _.isEmpty(found) ? [] : [found] });
+  });
+
+  app.post(/\/me\/messenger_profile$/, function(req, res) {
+    if (req.body.persistent_menu && !(req.body.get_started ||
+        stub.profile.get_started)) {
+      res.status(400).json({
+        error: { message: "A persistent menu needs a Get Started button",
+          code: 100 }
+      });
+      return;
+    }
+    _.assign(stub.profile, req.body);
+    stub.profileWrites += 1;
+    res.json({ result: "success" });
+  });
+
+  app.delete(/\/me\/messenger_profile$/, function(req, res) {
+    stub.profile = _.omit(stub.profile, req.body.fields);
+    stub.profileWrites += 1;
+    res.json({ result: "success" });
+  });
+
+  stub = {
+    messages: messages,
+    calls: calls,
+    profile: {},
+    profileWrites: 0,
+
+    // Starts listening, port 0 picks a free one. Resolves with the base URL
+    // to use as GRAPH_API_URL and sets attachmentsUrl.
+    listen: function(port) {
+      return new Promise(function(resolve) {
+        server = app.listen(port || 0, function() {
+          var origin = 'http://localhost:' + server.address().port;
+          stub.attachmentsUrl = origin + '/attachments';
+          resolve(origin + '/v2.6');
+        });
+      });
+    },
+
+    failNext: function(count, status) {
+      failures = { count: count, status: status };
+    },
+
+    close: function() {
+      if (server) {
+        server.close();
+      }
+    },
+
+    // Messages sent to a recipient, leaving out sender actions such as
+    // typing indicators and read receipts
+    sentTo: function(recipientId) {
+      return messages.filter(function(message) {
+        return message.recipient.id === recipientId && !message.sender_action;
+      });
+    }
+  };
+
+  return stub;
+}
+
+// Run on its own to watch what the bot sends while testing by hand:
+//   GRAPH_STUB_PORT=5001 node test/support/graph.js
+//   GRAPH_API_URL=http://localhost:5001/v2.6 MESSENGER_DEV_MODE=true ... node app.js
+if (require.main === module) {
+  var stub = createGraphStub(function(message) {
+    console.log(JSON.stringify(message, null, 2));
+  });
+
+  stub.listen(process.env.GRAPH_STUB_PORT || 5001).then(function(url) {
+    console.log("Graph API stub listening at %s", url);
+  });
+}
+
+module.exports = createGraphStub;
@@ -0,0 +1,64 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  request = require('request');
+
+/*
+ * Acts as restaurant staff in the inbox on the dashboard (lib/dashboard.js)
+ * from a browser: it logs in with basic auth, loads the inbox and posts the
+ * same forms the page does, CSRF token included. Helpers resolve with
+ * { statusCode, body } of the inbox page the form leads back to.
+ *
+ * Options: url where the dashboard is mounted and the adminToken.
+ *
+ */
+function createInboxClient(options) {
+  var auth = { user: 'staff', pass: options.adminToken };
+
+  function call(method, path, form) {
+    return new Promise(function(resolve, reject) {
+      request({
+        uri: options.url + path,
+        method: method,
+        auth: auth,
+        form: form,
+        followAllRedirects: true
+      }, function(error, response, responseBody) {
+        if (error) {
+          reject(error);
+        } else {
+          resolve({ statusCode: response.statusCode, body: responseBody });
+        }
+      });
+    });
+  }
+
+  // Submit a form on a customer's conversation in the inbox
+  function post(senderID, action, form) {
+    var conversation = '/inbox?sender=' + encodeURIComponent(senderID);
+
+    return call('GET', conversation).then(function(page) {
+      var token = /name="_csrf" value="([^"]*)"/.exec(page.body);
+      if (!token) {
+        throw new Error("no conversation with " + senderID + " in the inbox");
+      }
+
+      form._csrf = token[1];
+      return call('POST', '/inbox/' + encodeURIComponent(senderID) + '/' +
+        action, form);
+    });
+  }
+
+  return {
+    reply: function(senderID, text) {
+      return post(senderID, 'reply', { text: text });
+    },
+
+    done: function(senderID) {
+      return post(senderID, 'done', {});
+    }
+  };
+}
+
+module.exports = createInboxClient;
@@ -0,0 +1,82 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  request = require('request'),
+  _ = require('lodash');
+
+// Sender ids of web chat users, see lib/webchat
+const PREFIX = 'web:';
+
+/*
+ * Talks to the web chat API the way public/chat.js does. Helpers take the
+ * sender id returned by start() and resolve with { statusCode, body }.
+ *
+ * Options: url where the chat router is mounted, e.g. http://localhost/chat.
+ *
+ */
+function createWebChatClient(options) {
+  function call(method, path, body) {
+    return new Promise(function(resolve, reject) {
+      request({
+        uri: options.url + path,
+        method: method,
+        json: body || true
+      }, function(error, response, responseBody) {
+        if (error) {
+          reject(error);
+        } else {
+          resolve({ statusCode: response.statusCode, body: responseBody });
+        }
+      });
+    });
+  }
+
+  function event(senderID, body) {
+    return call('POST', '/sessions/' + senderID.substring(PREFIX.length) +
+      '/events', body).then(function(response) {
+        // Answered like the webhook so tests can treat both the same
+        return _.assign(response, {
+          statusCode: response.statusCode === 202 ? 200 : response.statusCode
+        });
+      });
+  }
+
+  return {
+    // Resolves with the sender id of a new session
+    start: function() {
+      return call('POST', '/sessions').then(function(response) {
+        return PREFIX + response.body.session;
+      });
+    },
+
+    // Resolves with everything sent to the session so far, sender actions
+    // left out
+    sentTo: function(senderID) {
+      return call('GET', '/sessions/' + senderID.substring(PREFIX.length) +
+        '/messages').then(function(response) {
+          return _.reject(response.body.messages, 'sender_action');
+        });
+    },
+
+    text: function(senderID, text) {
+      return event(senderID, { text: text });
+    },
+
+    quickReply: function(senderID, payload, title) {
+      return event(senderID, {
+        quick_reply: { payload: payload, title: title }
+      });
+    },
+
+    postback: function(senderID, payload, title) {
+      return event(senderID, { postback: { payload: payload, title: title } });
+    },
+
+    location: function(senderID, lat, long) {
+      return event(senderID, { location: { lat: lat, long: long } });
+    }
+  };
+}
+
+module.exports = createWebChatClient;
@@ -0,0 +1,174 @@
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  crypto = require('crypto'),
+  request = require('request'),
+  _ = require('lodash');
+
+/*
+ * Posts webhook calls to the bot the way Messenger does: wrapped in a page
+ * entry and signed with the app secret in x-hub-signature-256. Every helper
+ * resolves with { statusCode, body } once the bot has answered the call, the
+ * body parsed when it is JSON.
+ *
+ * Options: url (of the bot's /webhook), appSecret and pageId.
+ *
+ */
+function createWebhookClient(options) {
+  var pageId = options.pageId || 'PAGE_ID';
+  var sequence = 0;
+  var last;
+
+  function sign(algorithm, payload) {
+    return algorithm + '=' + crypto.createHmac(algorithm, options.appSecret)
+      .update(payload)
+      .digest('hex');
+  }
+
+  /*
+   * The signature headers of a call. `signature` is 'sha256' (the default)
+   * or 'sha1' to sign with the app secret like Messenger does, false to
+   * leave the signature out, or any other x-hub-signature-256 to send as is.
+   *
+   */
+  function signatureHeaders(payload, signature) {
+    if (signature === false) {
+      return {};
+    } else if (signature === 'sha1') {
+      return { 'X-Hub-Signature': sign('sha1', payload) };
+    } else if (signature === undefined || signature === 'sha256') {
+      return { 'X-Hub-Signature-256': sign('sha256', payload) };
+    }
+    return { 'X-Hub-Signature-256': signature };
+  }
+
+  function post(body, signature) {
+    var payload = JSON.stringify(body);
+    last = { body: body, signature: signature };
+
+    return new Promise(function(resolve, reject) {
+      request({
+        uri: options.url,
+        method: 'POST',
+        headers: _.assign({ 'Content-Type': 'application/json' },
+          signatureHeaders(payload, signature)),
+        body: payload
+      }, function(error, response, responseBody) {
+        if (error) {
+          reject(error);
+        } else {
+          resolve({
+            statusCode: response.statusCode,
+            body: /json/.test(response.headers['content-type']) ?
+              JSON.parse(responseBody) : responseBody
+          });
+        }
+      });
+    });
+  }
+
+  // Send one messaging event from a user, e.g. { message: { text: 'hi' } }
+  function event(senderID, fields) {
+    var now = Date.now();
+    sequence += 1;
+
+    return post({
+      object: 'page',
+      entry: [{
+        id: pageId,
+        time: now,
+        messaging: [_.assign({
+          sender: { id: senderID },
+          recipient: { id: pageId },
+          timestamp: now + sequence
+        }, fields)]
+      }]
+    });
+  }
+
+  function message(senderID, fields) {
+    return event(senderID, {
+      message: _.assign({ mid: 'mid.test.' + (sequence + 1) }, fields)
+    });
+  }
+
+  return {
+    post: post,
+    event: event,
+
+    // Post the last call again, like Messenger does when it thinks the bot
+    // didn't get it
+    redeliver: function() {
+      return post(last.body, last.signature);
+    },
+
+    text: function(senderID, text) {
+      return message(senderID, { text: text });
+    },
+
+    quickReply: function(senderID, payload, title) {
+      return message(senderID, {
+        text: title || payload,
+        quick_reply: { payload: payload }
+      });
+    },
+
+    postback: function(senderID, payload, title) {
+      return event(senderID, {
+        postback: { title: title || payload, payload: payload }
+      });
+    },
+
+    optin: function(senderID, ref) {
+      return event(senderID, { optin: { ref: ref } });
+    },
+
+    // An m.me link with ?ref= followed by someone already in the thread
+    referral: function(senderID, ref) {
+      return event(senderID, {
+        referral: { ref: ref, source: 'SHORTLINK', type: 'OPEN_THREAD' }
+      });
+    },
+
+    // Get Started, tapped after following an m.me link with ?ref=
+    referredPostback: function(senderID, payload, ref) {
+      return event(senderID, {
+        postback: {
+          title: "Get Started",
+          payload: payload,
+          referral: { ref: ref, source: 'SHORTLINK', type: 'OPEN_THREAD' }
+        }
+      });
+    },
+
+    delivery: function(senderID, mids, watermark) {
+      return event(senderID, {
+        delivery: { mids: mids, watermark: watermark || Date.now() }
+      });
+    },
+
+    read: function(senderID, watermark) {
+      return event(senderID, { read: { watermark: watermark || Date.now() } });
+    },
+
+    // type is image, audio, video, file, location or fallback
+    attachment: function(senderID, type, payload) {
+      return message(senderID, {
+        attachments: [{ type: type, payload: payload }]
+      });
+    },
+
+    location: function(senderID, lat, long) {
+      return message(senderID, {
+        attachments: [{
+          type: 'location',
+          title: "Pinned location",
+          payload: { coordinates: { lat: lat, long: long } }
+        }]
+      });
+    }
+  };
+}
+
+module.exports = createWebhookClient;